@@ -10,6 +10,9 @@ const express = require('express');
 const puppeteer = require('puppeteer');
 const sharp = require('sharp');
 const { randomUUID } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const app = express();
 
@@ -30,26 +33,81 @@ const CONFIG = {
   MAX_SESSIONS: 5,
   SESSION_TIMEOUT_MS: 5 * 60 * 1000, // 5 minutes
   MAX_PAGES_PER_SESSION: 10,
+  MAX_NETWORK_LOG_ENTRIES: 1000,
+  MAX_HAR_ENTRIES: 5000,
   CLEANUP_INTERVAL_MS: 60 * 1000, // 1 minute
+  // 'context': one shared browser, each session gets its own incognito BrowserContext
+  // 'browser': one browser process per session (full process isolation)
+  SESSION_MODE: process.env.BROWSER_SESSION_MODE === 'browser' ? 'browser' : 'context',
+  DATA_DIR: process.env.BROWSER_SERVER_DATA_DIR || path.join(os.homedir(), '.browser-server'),
 };
 
+// Saved storage states (cookies, localStorage, sessionStorage) live here as <name>.json
+const STATE_DIR = path.join(CONFIG.DATA_DIR, 'states');
+
+// Visual comparison baselines live here as <name>.png, with the last diff as <name>.diff.png
+const BASELINE_DIR = path.join(CONFIG.DATA_DIR, 'baselines');
+
+// Per-session files (uploads, downloads) live in <SESSIONS_DIR>/<sessionId>/ and are removed with the session
+const SESSIONS_DIR = path.join(CONFIG.DATA_DIR, 'sessions');
+
 // Session storage: Map<sessionId, SessionData>
 const sessions = new Map();
 
+// Shared browser used in 'context' mode, launched on first use
+let sharedBrowserPromise = null;
+
 /**
  * Session data structure
  * @typedef {Object} SessionData
  * @property {string} id - Unique session ID
- * @property {Browser} browser - Puppeteer browser instance
- * @property {Page[]} pages - Array of open pages
+ * @property {Browser} browser - Puppeteer browser instance (shared in 'context' mode)
+ * @property {BrowserContext} context - Browser context the session's pages live in
+ * @property {Page[]} pages - Array of open pages (tabs), in opening order
+ * @property {Page|null} activePage - Tab that actions target by default
+ * @property {Map<Page, string>} tabIds - Stable tab ID for each open page
+ * @property {number} tabCounter - Counter used to generate tab IDs
+ * @property {number} refCounter - Counter used to generate snapshot element refs
+ * @property {Set<string>} visitedOrigins - Origins the session's pages have loaded
+ * @property {Object|null} device - Emulated device ({ name, userAgent, viewport }), applied to every tab
+ * @property {Object} emulation - Environment overrides (timezone, locale, geolocation, colorScheme, reducedMotion, media)
+ * @property {Object|null} sessionStorageSeed - sessionStorage to apply to new pages, by origin
+ * @property {Array} networkRules - Request interception rules, checked in order
+ * @property {number} ruleCounter - Counter used to generate rule IDs
+ * @property {boolean} interceptionEnabled - Whether pages intercept requests for the rules
+ * @property {Object|null} har - Active HAR recording ({ startedAt, includeBodies, maxBodySize, records, dropped, pendingBodies })
+ * @property {WeakMap} requestRecords - Network record for each in-flight request
+ * @property {Array} networkLog - Requests of each tab since its last main-frame navigation
+ * @property {number} requestCounter - Counter used to generate request IDs
+ * @property {Array} downloads - Downloads started by the session's tabs
+ * @property {number} downloadCounter - Counter used to generate download IDs
+ * @property {CDPSession|null} browserClient - Browser-level CDP session (download events, permission grants)
  * @property {number} lastAccessed - Timestamp of last activity
  * @property {string} currentUrl - Current URL (for stateless fallback)
  * @property {Object} metadata - Custom metadata (agent ID, etc.)
  * @property {Array} consoleLogs - Console messages from the browser
  * @property {Array} pageErrors - Uncaught page errors
  * @property {Array} networkErrors - Failed network requests
+ * @property {Array} dialogEvents - Dialogs opened since diagnostics were last cleared
+ * @property {Object} dialogPolicy - How dialogs are handled ({ action, beforeunload, promptText, timeout })
+ * @property {Array} dialogs - Pending and past dialogs (most recent last)
+ * @property {Map<string, Object>} pendingDialogs - Queued dialogs awaiting an answer, by dialog ID
+ * @property {number} dialogCounter - Counter used to generate dialog IDs
  */
 
+// Accessibility roles that get an element ref in snapshots
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+  'listbox', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab',
+  'switch', 'slider', 'spinbutton', 'treeitem',
+]);
+
+// Attribute used to tag snapshot elements so refs can be resolved later
+const REF_ATTRIBUTE = 'data-mcp-ref';
+
+// Attribute used to tag form fields located by fill-form
+const FIELD_ATTRIBUTE = 'data-mcp-field';
+
 // Browser launch configuration
 const BROWSER_CONFIG = {
   executablePath: '/usr/bin/chromium-browser',
@@ -73,10 +131,55 @@ const BROWSER_CONFIG = {
 // Session Management
 // ============================================================================
 
+/**
+ * Get the shared browser, launching it if needed
+ * Sessions of a crashed shared browser are dropped so they fail fast
+ */
+async function getSharedBrowser() {
+  if (!sharedBrowserPromise) {
+    sharedBrowserPromise = puppeteer.launch(BROWSER_CONFIG).then(browser => {
+      console.log('[BROWSER] Shared browser launched');
+
+      browser.on('disconnected', () => {
+        console.error('[BROWSER] Shared browser disconnected');
+        sharedBrowserPromise = null;
+
+        for (const [sessionId, session] of sessions.entries()) {
+          if (session.browser === browser) {
+            sessions.delete(sessionId);
+            console.log(`[SESSION] Dropped ${sessionId} after browser disconnect | Remaining: ${sessions.size}`);
+          }
+        }
+      });
+
+      return browser;
+    });
+
+    // Allow a retry on the next session if the launch failed
+    sharedBrowserPromise.catch(() => {
+      sharedBrowserPromise = null;
+    });
+  }
+
+  return sharedBrowserPromise;
+}
+
+/**
+ * Create an incognito browser context with its own cookies and storage
+ */
+async function createIsolatedContext(browser) {
+  // Puppeteer v22 renamed createIncognitoBrowserContext to createBrowserContext
+  if (typeof browser.createBrowserContext === 'function') {
+    return browser.createBrowserContext();
+  }
+
+  return browser.createIncognitoBrowserContext();
+}
+
 /**
  * Create a new browser session
  */
-async function createSession(metadata = {}) {
+async function createSession(metadata = {}, { storageState = null, device = null } = {}) {
   // Check session limit
   if (sessions.size >= CONFIG.MAX_SESSIONS) {
     // Try to clean up expired sessions first
@@ -87,22 +190,74 @@ async function createSession(metadata = {}) {
     }
   }
 
+  // Resolve the device first so an unknown name fails before a browser is started
+  const emulatedDevice = device ? resolveDevice(device) : null;
+
   const sessionId = `ses_${randomUUID()}`;
-  const browser = await puppeteer.launch(BROWSER_CONFIG);
+  let browser;
+  let context;
+
+  if (CONFIG.SESSION_MODE === 'context') {
+    browser = await getSharedBrowser();
+    context = await createIsolatedContext(browser);
+  } else {
+    browser = await puppeteer.launch(BROWSER_CONFIG);
+    context = browser.defaultBrowserContext();
+  }
 
   const sessionData = {
     id: sessionId,
     browser,
+    context,
     pages: [],
+    activePage: null,
+    tabIds: new Map(),
+    tabCounter: 0,
+    refCounter: 0,
+    visitedOrigins: new Set(),
+    device: emulatedDevice,
+    emulation: {},
+    sessionStorageSeed: null,
+    networkRules: [],
+    ruleCounter: 0,
+    interceptionEnabled: false,
+    har: null,
+    requestRecords: new WeakMap(),
+    networkLog: [],
+    requestCounter: 0,
+    downloads: [],
+    downloadCounter: 0,
+    browserClient: null,
     lastAccessed: Date.now(),
     currentUrl: null,
     metadata: metadata || {},
     consoleLogs: [],
     pageErrors: [],
     networkErrors: [],
+    dialogEvents: [],
+    dialogPolicy: { ...DEFAULT_DIALOG_POLICY },
+    dialogs: [],
+    pendingDialogs: new Map(),
+    dialogCounter: 0,
   };
 
   sessions.set(sessionId, sessionData);
+  trackPopups(sessionData);
+
+  try {
+    await enableDownloads(sessionData);
+  } catch (error) {
+    console.error(`[SESSION] Error enabling downloads in ${sessionId}: ${error.message}`);
+  }
+
+  if (storageState) {
+    try {
+      await loadStorageState(sessionData, storageState);
+    } catch (error) {
+      await destroySession(sessionId);
+      throw error;
+    }
+  }
 
   console.log(`[SESSION] Created: ${sessionId} | Total: ${sessions.size}`);
 
@@ -171,128 +326,3876 @@ function attachDiagnostics(page, session) {
   });
 }
 
+/**
+ * Register a page as a tab of a session
+ * Assigns a tab ID, attaches diagnostics and forgets the page once it closes
+ */
+function registerPage(session, page) {
+  session.tabCounter += 1;
+  session.tabIds.set(page, `tab_${session.tabCounter}`);
+  session.pages.push(page);
+  attachDiagnostics(page, session);
+  attachNetworkCapture(page, session);
+  attachDialogHandler(page, session);
+
+  page.on('close', () => unregisterPage(session, page));
+
+  // Remember origins so their storage can be exported later
+  page.on('framenavigated', frame => trackOrigin(session, frame.url()));
+
+  if (session.sessionStorageSeed) {
+    seedSessionStorage(page, session.sessionStorageSeed).catch(error => {
+      console.error(`[SESSION] Error seeding sessionStorage in ${session.id}: ${error.message}`);
+    });
+  }
+
+  if (session.interceptionEnabled) {
+    enableInterception(session, page).catch(error => {
+      console.error(`[SESSION] Error enabling interception in ${session.id}: ${error.message}`);
+    });
+  }
+
+  return page;
+}
+
+/**
+ * Remove a closed page from a session, picking a new active tab if needed
+ */
+function unregisterPage(session, page) {
+  const index = session.pages.indexOf(page);
+  if (index !== -1) {
+    session.pages.splice(index, 1);
+  }
+  session.tabIds.delete(page);
+
+  if (session.activePage === page) {
+    session.activePage = session.pages[session.pages.length - 1] || null;
+  }
+}
+
+/**
+ * Track popups (window.open, target=_blank links) opened by a session's pages
+ * New popups become the active tab, like in a regular browser
+ */
+function trackPopups(session) {
+  session.context.on('targetcreated', async target => {
+    // Tabs opened through the API have no opener and are registered directly
+    if (target.type() !== 'page' || !target.opener()) {
+      return;
+    }
+
+    try {
+      const page = await target.page();
+      if (!page || session.tabIds.has(page) || !sessions.has(session.id)) {
+        return;
+      }
+
+      // Same limit as openTab, so a page cannot grow the session by spamming window.open
+      if (session.pages.length >= CONFIG.MAX_PAGES_PER_SESSION) {
+        await page.close();
+        console.log(`[SESSION] Popup closed in ${session.id}: maximum tab limit reached (${CONFIG.MAX_PAGES_PER_SESSION})`);
+        return;
+      }
+
+      registerPage(session, page);
+      session.activePage = page;
+
+      await emulateNewPage(session, page);
+
+      console.log(`[SESSION] Popup opened in ${session.id}: ${session.tabIds.get(page)}`);
+    } catch (error) {
+      console.error(`[SESSION] Error tracking popup in ${session.id}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Open a new tab in a session and make it the active tab
+ */
+async function openTab(session) {
+  if (session.pages.length >= CONFIG.MAX_PAGES_PER_SESSION) {
+    throw new Error(`Maximum tab limit reached (${CONFIG.MAX_PAGES_PER_SESSION})`);
+  }
+
+  const page = await session.context.newPage();
+  registerPage(session, page);
+  session.activePage = page;
+
+  await emulateNewPage(session, page);
+
+  return page;
+}
+
+/**
+ * Find a tab by index (number or numeric string) or tab ID
+ */
+function findTab(session, tab) {
+  let page;
+
+  if (typeof tab === 'number' || /^\d+$/.test(tab)) {
+    page = session.pages[Number(tab)];
+  } else {
+    page = session.pages.find(p => session.tabIds.get(p) === tab);
+  }
+
+  if (!page) {
+    throw new Error(`Tab not found: ${tab}`);
+  }
+
+  return page;
+}
+
+/**
+ * Describe a tab for API responses
+ */
+async function describeTab(session, page) {
+  let title = '';
+  try {
+    title = await page.title();
+  } catch (e) {
+    // Page may be navigating or closing
+  }
+
+  return {
+    id: session.tabIds.get(page),
+    index: session.pages.indexOf(page),
+    url: page.url(),
+    title,
+    active: session.activePage === page,
+  };
+}
+
 /**
  * Get or create the current page for a session
+ * If a tab index or ID is given, returns that tab instead of the active one
  */
-async function getCurrentPage(session) {
+async function getCurrentPage(session, tab) {
+  if (tab !== undefined && tab !== null && tab !== '') {
+    return findTab(session, tab);
+  }
+
   // If no pages exist, create one
   if (session.pages.length === 0) {
-    const page = await session.browser.newPage();
-    attachDiagnostics(page, session);
-    session.pages.push(page);
-    return page;
+    return openTab(session);
+  }
+
+  if (!session.activePage) {
+    session.activePage = session.pages[session.pages.length - 1];
   }
 
-  // Return the most recently used page
-  return session.pages[session.pages.length - 1];
+  return session.activePage;
 }
 
 /**
- * Get diagnostics for a session and optionally clear them
+ * Resolve the target of an element action to a CSS selector
+ * Accepts either a CSS selector or a ref from a previous snapshot
  */
-function getDiagnostics(session, clear = false) {
-  const diagnostics = {
-    consoleLogs: session.consoleLogs,
-    pageErrors: session.pageErrors,
-    networkErrors: session.networkErrors,
-    counts: {
-      console: session.consoleLogs.length,
-      errors: session.pageErrors.length,
-      network: session.networkErrors.length,
-    },
-  };
+async function resolveSelector(page, { selector, ref }) {
+  if (ref) {
+    if (!/^e\d+$/.test(ref)) {
+      throw new Error(`Invalid element ref: ${ref}`);
+    }
 
-  if (clear) {
-    session.consoleLogs = [];
-    session.pageErrors = [];
-    session.networkErrors = [];
+    const refSelector = `[${REF_ATTRIBUTE}="${ref}"]`;
+    if (!(await page.$(refSelector))) {
+      throw new Error(`Element ref not found: ${ref}. The page may have changed; take a new snapshot.`);
+    }
+
+    return refSelector;
+  }
+
+  if (!selector) {
+    throw new Error('Either selector or ref is required');
+  }
+
+  return selector;
+}
+
+/**
+ * Assign a ref to an interactive accessibility node
+ * Elements keep their ref across snapshots until the page replaces them
+ */
+async function assignRef(session, node) {
+  if (!INTERACTIVE_ROLES.has(node.role) || typeof node.elementHandle !== 'function') {
+    return null;
+  }
+
+  const handle = await node.elementHandle();
+  if (!handle) {
+    return null;
+  }
+
+  try {
+    const candidate = `e${session.refCounter + 1}`;
+    const ref = await handle.evaluate((el, attribute, nextRef) => {
+      if (!el.getAttribute(attribute)) {
+        el.setAttribute(attribute, nextRef);
+      }
+      return el.getAttribute(attribute);
+    }, REF_ATTRIBUTE, candidate);
+
+    if (ref === candidate) {
+      session.refCounter += 1;
+    }
+
+    return ref;
+  } finally {
+    await handle.dispose();
+  }
+}
+
+/**
+ * Render an accessibility node and its children as an indented outline
+ */
+async function renderSnapshotNode(session, node, depth, lines) {
+  // Unnamed generic containers add noise; render their children in place
+  const transparent = (node.role === 'generic' || node.role === 'none') && !node.name;
+
+  if (!transparent) {
+    const ref = await assignRef(session, node);
+    const name = node.name ? ` "${truncate(node.name, 100)}"` : '';
+    const attributes = [];
+
+    if (ref) attributes.push(`ref=${ref}`);
+    if (node.level) attributes.push(`level=${node.level}`);
+    if (node.checked !== undefined) attributes.push(`checked=${node.checked}`);
+    if (node.pressed !== undefined) attributes.push(`pressed=${node.pressed}`);
+    if (node.expanded !== undefined) attributes.push(`expanded=${node.expanded}`);
+    if (node.selected) attributes.push('selected');
+    if (node.disabled) attributes.push('disabled');
+    if (node.focused) attributes.push('focused');
+    if (node.required) attributes.push('required');
+    if (node.readonly) attributes.push('readonly');
+
+    let line = `${'  '.repeat(depth)}- ${node.role}${name}`;
+    if (attributes.length > 0) {
+      line += ` [${attributes.join(', ')}]`;
+    }
+    if (node.value !== undefined && node.value !== '') {
+      line += `: ${JSON.stringify(truncate(String(node.value), 100))}`;
+    }
+
+    lines.push(line);
+  }
+
+  for (const child of node.children || []) {
+    await renderSnapshotNode(session, child, transparent ? depth : depth + 1, lines);
+  }
+}
+
+/**
+ * Build a compact accessibility-tree outline of a page
+ */
+async function buildSnapshot(session, page, rootSelector) {
+  const options = { interestingOnly: true };
+
+  if (rootSelector) {
+    options.root = await page.$(rootSelector);
+    if (!options.root) {
+      throw new Error(`No element found for selector: ${rootSelector}`);
+    }
+  }
+
+  const tree = await page.accessibility.snapshot(options);
+  const lines = [];
+
+  if (tree) {
+    await renderSnapshotNode(session, tree, 0, lines);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Truncate text to a maximum length
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+}
+
+/**
+ * Get the page coordinates of a point in an element, scrolling it into view
+ * Without an offset the point is the element's center
+ */
+async function getElementPoint(page, selector, offset) {
+  const handle = await page.$(selector);
+  if (!handle) {
+    throw new Error(`No element found for selector: ${selector}`);
+  }
+
+  try {
+    await handle.evaluate(el => el.scrollIntoView({ block: 'center', inline: 'center' }));
+
+    const box = await handle.boundingBox();
+    if (!box) {
+      throw new Error(`Element is not visible: ${selector}`);
+    }
+
+    if (offset) {
+      return { x: box.x + (offset.x || 0), y: box.y + (offset.y || 0) };
+    }
+
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  } finally {
+    await handle.dispose();
+  }
+}
+
+/**
+ * Whether a click request targets raw page coordinates instead of an element
+ */
+function hasCoordinates({ selector, ref, x, y }) {
+  return !selector && !ref && typeof x === 'number' && typeof y === 'number';
+}
+
+/**
+ * Choose options of a <select> by value, label, or either
+ */
+async function selectOptions(page, selector, wanted, matchBy = 'value') {
+  const values = await page.$eval(selector, (el, wantedValues, mode) => {
+    if (el.tagName !== 'SELECT') {
+      throw new Error('Element is not a <select>');
+    }
+
+    const options = Array.from(el.options);
+    return wantedValues.map(wantedValue => {
+      const option = options.find(o => (mode !== 'label' && o.value === wantedValue)
+        || (mode !== 'value' && (o.label.trim() === wantedValue || o.textContent.trim() === wantedValue)));
+      if (!option) {
+        throw new Error(`No option with ${mode === 'any' ? 'value or label' : mode} "${wantedValue}"`);
+      }
+      return option.value;
+    });
+  }, [].concat(wanted).map(String), matchBy);
+
+  return page.select(selector, ...values);
+}
+
+/**
+ * Check or uncheck a checkbox, radio or ARIA checkbox/switch by clicking it
+ */
+async function setChecked(page, selector, checked) {
+  const readState = () => page.$eval(selector, el => ({
+    type: (el.type || '').toLowerCase(),
+    role: el.getAttribute('role'),
+    checked: el.type === 'checkbox' || el.type === 'radio' ? el.checked : el.getAttribute('aria-checked') === 'true',
+  }));
+
+  const before = await readState();
+  const isNative = before.type === 'checkbox' || before.type === 'radio';
+
+  if (!isNative && !['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(before.role)) {
+    throw new Error('Element is not a checkbox or radio');
+  }
+  if (!checked && (before.type === 'radio' || before.role === 'radio')) {
+    throw new Error('A radio button cannot be unchecked; check another option in its group');
+  }
+
+  if (before.checked !== checked) {
+    try {
+      await page.click(selector);
+    } catch (error) {
+      // Custom-styled inputs are often hidden behind their label
+      await page.$eval(selector, el => el.click());
+    }
+  }
+
+  const after = await readState();
+  if (after.checked !== checked) {
+    throw new Error(`Element is still ${after.checked ? 'checked' : 'unchecked'} after clicking`);
+  }
+
+  return { changed: before.checked !== checked, checked: after.checked };
+}
+
+/**
+ * Locate a form field by CSS selector, name, label text, aria-label or placeholder
+ * Tags the element so it can be addressed with the returned selector; see clearFieldTags
+ */
+async function locateField(page, key) {
+  return page.evaluate((fieldKey, attribute) => {
+    const normalize = text => (text || '').replace(/\s+/g, ' ').replace(/[\s*:]+$/, '').trim().toLowerCase();
+    const wanted = normalize(fieldKey);
+    let el = null;
+    let matchedBy = null;
+
+    try {
+      el = document.querySelector(fieldKey);
+      matchedBy = el ? 'selector' : null;
+    } catch (e) {
+      // Not a valid CSS selector
+    }
+
+    if (!el) {
+      el = document.querySelector(`[name="${CSS.escape(fieldKey)}"]`);
+      matchedBy = el ? 'name' : null;
+    }
+
+    if (!el) {
+      const label = Array.from(document.querySelectorAll('label')).find(l => normalize(l.textContent) === wanted);
+      el = label ? label.control : null;
+      matchedBy = el ? 'label' : null;
+    }
+
+    if (!el) {
+      el = Array.from(document.querySelectorAll('input, select, textarea, [contenteditable="true"]'))
+        .find(c => normalize(c.getAttribute('aria-label')) === wanted || normalize(c.getAttribute('placeholder')) === wanted);
+      matchedBy = el ? 'aria-label/placeholder' : null;
+    }
+
+    if (!el) {
+      return null;
+    }
+
+    const token = `f${Math.random().toString(36).slice(2, 10)}`;
+    el.setAttribute(attribute, token);
+
+    return {
+      selector: `[${attribute}="${token}"]`,
+      matchedBy,
+      tag: el.tagName.toLowerCase(),
+      type: (el.getAttribute('type') || '').toLowerCase(),
+      name: el.getAttribute('name'),
+      contentEditable: el.isContentEditable,
+    };
+  }, key, FIELD_ATTRIBUTE);
+}
+
+/**
+ * Remove the tags locateField and setFieldValue put on the page's form fields
+ */
+async function clearFieldTags(page) {
+  await page.evaluate(attribute => {
+    document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+  }, FIELD_ATTRIBUTE);
+}
+
+/**
+ * Set a located form field to a value according to its kind
+ */
+async function setFieldValue(page, field, value) {
+  if (field.tag === 'select') {
+    await selectOptions(page, field.selector, value, 'any');
+    return;
+  }
+
+  if (field.type === 'checkbox') {
+    await setChecked(page, field.selector, value === true || value === 'true' || value === 'on');
+    return;
+  }
+
+  if (field.type === 'radio') {
+    // Pick the radio in the group whose value or label matches
+    const radioSelector = await page.$eval(field.selector, (el, wantedValue, attribute) => {
+      const group = el.name
+        ? Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`))
+        : [el];
+      const radio = group.find(r => r.value === wantedValue
+        || (r.labels && Array.from(r.labels).some(l => l.textContent.trim() === wantedValue)));
+      if (!radio) {
+        throw new Error(`No radio option "${wantedValue}"`);
+      }
+
+      const token = `f${Math.random().toString(36).slice(2, 10)}`;
+      radio.setAttribute(attribute, token);
+      return `[${attribute}="${token}"]`;
+    }, String(value), FIELD_ATTRIBUTE);
+
+    await setChecked(page, radioSelector, true);
+    return;
+  }
+
+  if (field.type === 'file') {
+    throw new Error('File inputs cannot be filled with text');
+  }
+
+  // Text-like inputs, textareas and contenteditable elements
+  await page.$eval(field.selector, el => {
+    if (el.isContentEditable) {
+      el.textContent = '';
+    } else {
+      el.value = '';
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+  await page.type(field.selector, String(value));
+}
+
+// Modifier names accepted in key chords, mapped to Puppeteer key names
+const MODIFIER_ALIASES = {
+  control: 'Control',
+  ctrl: 'Control',
+  shift: 'Shift',
+  alt: 'Alt',
+  option: 'Alt',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta',
+};
+
+/**
+ * Split a chord like "Control+Shift+K" into modifiers and the main key
+ * A trailing "+" is the plus key itself ("Control++")
+ */
+function parseChord(chord) {
+  if (chord === '+') {
+    return { modifiers: [], key: '+' };
+  }
+
+  const parts = chord.endsWith('++')
+    ? [...chord.slice(0, -2).split('+'), '+']
+    : chord.split('+');
+  const key = parts.pop();
+
+  const modifiers = parts.map(part => {
+    const modifier = MODIFIER_ALIASES[part.trim().toLowerCase()];
+    if (!modifier) {
+      throw new Error(`Unknown modifier "${part}" in "${chord}". Use Control, Shift, Alt or Meta`);
+    }
+    return modifier;
+  });
+
+  if (!key) {
+    throw new Error(`Missing key in "${chord}"`);
+  }
+
+  return { modifiers, key };
+}
+
+/**
+ * Press a single key or a chord with modifiers
+ */
+async function pressChord(page, chord, delay = 0) {
+  const { modifiers, key } = parseChord(chord);
+
+  for (const modifier of modifiers) {
+    await page.keyboard.down(modifier);
+  }
+
+  try {
+    await page.keyboard.press(key, { delay });
+  } finally {
+    for (const modifier of modifiers.reverse()) {
+      await page.keyboard.up(modifier);
+    }
+  }
+}
+
+/**
+ * Get diagnostics for a session and optionally clear them
+ */
+function getDiagnostics(session, clear = false) {
+  const diagnostics = {
+    consoleLogs: session.consoleLogs,
+    pageErrors: session.pageErrors,
+    networkErrors: session.networkErrors,
+    dialogs: session.dialogEvents,
+    counts: {
+      console: session.consoleLogs.length,
+      errors: session.pageErrors.length,
+      network: session.networkErrors.length,
+      dialogs: session.dialogEvents.length,
+    },
+  };
+
+  if (clear) {
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Destroy a session and clean up resources
+ */
+async function destroySession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  try {
+    // Close all pages (copy the list: closing a page removes it from session.pages)
+    for (const page of [...session.pages]) {
+      try {
+        await page.close();
+      } catch (e) {
+        console.error(`[SESSION] Error closing page: ${e.message}`);
+      }
+    }
+
+    // Queued dialogs would otherwise fire their timeout on a closed page
+    for (const pending of session.pendingDialogs.values()) {
+      clearTimeout(pending.timer);
+    }
+    session.pendingDialogs.clear();
+
+    if (session.browserClient) {
+      await session.browserClient.detach().catch(() => {});
+    }
+
+    // Close the session's context, or its own browser in 'browser' mode
+    if (CONFIG.SESSION_MODE === 'context') {
+      await session.context.close();
+    } else {
+      await session.browser.close();
+    }
+  } catch (error) {
+    console.error(`[SESSION] Error destroying session ${sessionId}:`, error.message);
+  }
+
+  try {
+    await fs.promises.rm(path.join(SESSIONS_DIR, sessionId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`[SESSION] Error removing files of ${sessionId}:`, error.message);
+  }
+
+  sessions.delete(sessionId);
+  console.log(`[SESSION] Destroyed: ${sessionId} | Remaining: ${sessions.size}`);
+
+  return true;
+}
+
+// DevTools session per page for overrides and queries Puppeteer has no public API for;
+// it stays attached, since Chromium drops a session's overrides when it detaches
+const pageClients = new WeakMap();
+
+/**
+ * Get the page's own DevTools session, creating it on first use
+ */
+async function getPageClient(page) {
+  let client = pageClients.get(page);
+  if (!client) {
+    client = await page.target().createCDPSession();
+    pageClients.set(page, client);
+  }
+  return client;
+}
+
+/**
+ * Find the tab a frame belongs to, by searching each tab's frame tree
+ */
+async function findFramePage(session, frameId) {
+  const hasFrame = node => node.frame.id === frameId || (node.childFrames || []).some(hasFrame);
+
+  for (const page of [...session.pages]) {
+    try {
+      const client = await getPageClient(page);
+      const { frameTree } = await client.send('Page.getFrameTree');
+      if (hasFrame(frameTree)) {
+        return page;
+      }
+    } catch (e) {
+      // Page closed while searching
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get (and create) a per-session directory, e.g. for uploads or downloads
+ */
+async function getSessionDir(session, kind) {
+  const dir = path.join(SESSIONS_DIR, session.id, kind);
+  await fs.promises.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Clean up expired sessions
+ */
+async function cleanupExpiredSessions() {
+  const now = Date.now();
+  const expiredSessions = [];
+
+  for (const [sessionId, session] of sessions.entries()) {
+    const idleTime = now - session.lastAccessed;
+    if (idleTime > CONFIG.SESSION_TIMEOUT_MS) {
+      expiredSessions.push(sessionId);
+    }
+  }
+
+  for (const sessionId of expiredSessions) {
+    console.log(`[CLEANUP] Expiring session: ${sessionId} (idle for ${Math.round((now - sessions.get(sessionId).lastAccessed) / 1000)}s)`);
+    await destroySession(sessionId);
+  }
+
+  return expiredSessions.length;
+}
+
+// ============================================================================
+// Storage State
+// ============================================================================
+
+/**
+ * Record the origin of a URL the session visited (http/https only)
+ */
+function trackOrigin(session, url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    if (protocol === 'http:' || protocol === 'https:') {
+      session.visitedOrigins.add(origin);
+    }
+  } catch (e) {
+    // about:blank and other non-URLs
+  }
+}
+
+/**
+ * Resolve a storage state name to its file path
+ */
+function getStatePath(name) {
+  if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid state name: ${name}. Use letters, digits, dots, dashes and underscores.`);
+  }
+
+  return path.join(STATE_DIR, `${name}.json`);
+}
+
+/**
+ * Run a DevTools protocol command against one of the session's pages
+ */
+async function sendCDP(session, method, params = {}) {
+  const page = await getCurrentPage(session);
+  const client = await page.target().createCDPSession();
+
+  try {
+    return await client.send(method, params);
+  } finally {
+    await client.detach();
+  }
+}
+
+/**
+ * Get every cookie in the session's browser context, including HttpOnly ones
+ */
+async function getAllCookies(session) {
+  const { cookies } = await sendCDP(session, 'Network.getAllCookies');
+  return cookies;
+}
+
+/**
+ * Set cookies in the session's browser context
+ * Accepts cookies as returned by getAllCookies or as plain attribute objects
+ */
+async function setCookies(session, cookies) {
+  const params = cookies.map(cookie => {
+    const param = { name: cookie.name, value: cookie.value };
+
+    for (const key of ['url', 'domain', 'path', 'httpOnly', 'secure', 'sameSite']) {
+      if (cookie[key] !== undefined) {
+        param[key] = cookie[key];
+      }
+    }
+
+    // Session cookies are exported with expires -1; leave them without expiry
+    if (cookie.expires !== undefined && cookie.expires > 0) {
+      param.expires = cookie.expires;
+    }
+
+    return param;
+  });
+
+  await sendCDP(session, 'Network.setCookies', { cookies: params });
+}
+
+/**
+ * Filter cookies by domain (including subdomains), name and path
+ */
+function filterCookies(cookies, { domain, name, path: cookiePath } = {}) {
+  const wantedDomain = domain ? domain.replace(/^\./, '').toLowerCase() : null;
+
+  return cookies.filter(cookie => {
+    if (name && cookie.name !== name) return false;
+    if (cookiePath && cookie.path !== cookiePath) return false;
+
+    if (wantedDomain) {
+      const cookieDomain = cookie.domain.replace(/^\./, '').toLowerCase();
+      if (cookieDomain !== wantedDomain && !cookieDomain.endsWith(`.${wantedDomain}`)) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Delete cookies from the session's browser context
+ */
+async function deleteCookies(session, cookies) {
+  for (const cookie of cookies) {
+    await sendCDP(session, 'Network.deleteCookies', {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+    });
+  }
+}
+
+/**
+ * Open a throwaway page on an origin without loading the real site
+ * Requests are answered with an empty document so only storage APIs are touched
+ */
+async function withOriginPage(session, origin, fn) {
+  const page = await session.context.newPage();
+
+  try {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        request.respond({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><title></title>' }).catch(() => {});
+      } else {
+        request.abort().catch(() => {});
+      }
+    });
+
+    await page.goto(`${origin}/`, { waitUntil: 'domcontentloaded' });
+    return await fn(page);
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Apply saved sessionStorage entries to a page on every document it loads
+ * Keys already present in the tab are left alone
+ */
+async function seedSessionStorage(page, seed) {
+  await page.evaluateOnNewDocument((seedByOrigin) => {
+    const entries = seedByOrigin[location.origin];
+    if (!entries) return;
+
+    for (const [key, value] of Object.entries(entries)) {
+      if (sessionStorage.getItem(key) === null) {
+        sessionStorage.setItem(key, value);
+      }
+    }
+  }, seed);
+}
+
+/**
+ * Export cookies, localStorage and sessionStorage for every visited origin
+ */
+async function exportStorageState(session) {
+  const cookies = await getAllCookies(session);
+  const origins = [];
+
+  for (const origin of session.visitedOrigins) {
+    const localStorage = {};
+    const sessionStorage = {};
+
+    // sessionStorage is per tab, so it can only be read from open pages
+    const openPages = session.pages.filter(page => {
+      try {
+        return new URL(page.url()).origin === origin;
+      } catch (e) {
+        return false;
+      }
+    });
+
+    for (const page of openPages) {
+      const storage = await page.evaluate(() => ({
+        local: Object.fromEntries(Object.entries(window.localStorage)),
+        session: Object.fromEntries(Object.entries(window.sessionStorage)),
+      }));
+      Object.assign(localStorage, storage.local);
+      Object.assign(sessionStorage, storage.session);
+    }
+
+    if (openPages.length === 0) {
+      Object.assign(localStorage, await withOriginPage(session, origin, page => page.evaluate(
+        () => Object.fromEntries(Object.entries(window.localStorage))
+      )));
+    }
+
+    if (Object.keys(localStorage).length > 0 || Object.keys(sessionStorage).length > 0) {
+      origins.push({ origin, localStorage, sessionStorage });
+    }
+  }
+
+  return {
+    version: 1,
+    savedAt: new Date().toISOString(),
+    cookies,
+    origins,
+  };
+}
+
+/**
+ * Apply an exported storage state to a session
+ */
+async function importStorageState(session, state) {
+  if (state.cookies && state.cookies.length > 0) {
+    await setCookies(session, state.cookies);
+  }
+
+  const seed = {};
+
+  for (const { origin, localStorage = {}, sessionStorage = {} } of state.origins || []) {
+    session.visitedOrigins.add(origin);
+
+    if (Object.keys(localStorage).length > 0) {
+      await withOriginPage(session, origin, page => page.evaluate((entries) => {
+        for (const [key, value] of Object.entries(entries)) {
+          window.localStorage.setItem(key, value);
+        }
+      }, localStorage));
+    }
+
+    if (Object.keys(sessionStorage).length > 0) {
+      seed[origin] = sessionStorage;
+    }
+  }
+
+  if (Object.keys(seed).length > 0) {
+    session.sessionStorageSeed = { ...session.sessionStorageSeed, ...seed };
+    for (const page of session.pages) {
+      await seedSessionStorage(page, seed);
+    }
+  }
+
+  return {
+    cookies: (state.cookies || []).length,
+    origins: (state.origins || []).length,
+  };
+}
+
+/**
+ * Save a session's storage state to a named file
+ */
+async function saveStorageState(session, name) {
+  const filePath = getStatePath(name);
+  const state = await exportStorageState(session);
+
+  await fs.promises.mkdir(STATE_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, JSON.stringify(state, null, 2));
+
+  console.log(`[STATE] Saved ${name} from ${session.id}`);
+
+  return {
+    path: filePath,
+    cookies: state.cookies.length,
+    origins: state.origins.length,
+  };
+}
+
+/**
+ * Load a named storage state file into a session
+ */
+async function loadStorageState(session, name) {
+  const filePath = getStatePath(name);
+
+  let state;
+  try {
+    state = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Storage state not found: ${name}`);
+    }
+    throw error;
+  }
+
+  const counts = await importStorageState(session, state);
+  console.log(`[STATE] Loaded ${name} into ${session.id}`);
+
+  return { path: filePath, ...counts };
+}
+
+// ============================================================================
+// Network Rules
+// ============================================================================
+
+const RULE_ACTIONS = ['abort', 'fulfill', 'modify'];
+
+/**
+ * Convert a URL glob to a regular expression
+ * `**` matches anything and `*` matches anything except `/`; `?` stays literal for query strings
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate a rule definition and build the stored rule
+ */
+function createNetworkRule(session, definition) {
+  const {
+    url,
+    urlRegex,
+    method,
+    resourceType,
+    action,
+    errorCode = 'failed',
+    response = {},
+    headers,
+    postData,
+  } = definition;
+
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}. Use one of: ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  if (url && urlRegex) {
+    throw new Error('Provide either url (glob) or urlRegex, not both');
+  }
+
+  let matcher = null;
+  try {
+    if (urlRegex) {
+      matcher = new RegExp(urlRegex);
+    } else if (url) {
+      matcher = globToRegExp(url);
+    }
+  } catch (error) {
+    throw new Error(`Invalid URL pattern: ${error.message}`);
+  }
+
+  session.ruleCounter += 1;
+
+  return {
+    id: `rule_${session.ruleCounter}`,
+    url: url || null,
+    urlRegex: urlRegex || null,
+    matcher,
+    methods: method ? [].concat(method).map(m => m.toUpperCase()) : null,
+    resourceTypes: resourceType ? [].concat(resourceType).map(t => t.toLowerCase()) : null,
+    action,
+    errorCode,
+    response,
+    headers: headers || null,
+    postData: postData !== undefined ? postData : null,
+    matchCount: 0,
+    lastMatchedAt: null,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Describe a rule for API responses (without the compiled matcher)
+ */
+function describeNetworkRule(rule) {
+  const { matcher, ...description } = rule;
+  return description;
+}
+
+/**
+ * Check whether a rule applies to an intercepted request
+ */
+function ruleMatches(rule, request) {
+  if (rule.matcher && !rule.matcher.test(request.url())) return false;
+  if (rule.methods && !rule.methods.includes(request.method())) return false;
+  if (rule.resourceTypes && !rule.resourceTypes.includes(request.resourceType())) return false;
+  return true;
+}
+
+/**
+ * Apply the first matching rule to a request, or let it through unchanged
+ */
+async function handleInterceptedRequest(session, request) {
+  const rule = session.networkRules.find(r => ruleMatches(r, request));
+
+  if (!rule) {
+    await request.continue();
+    return;
+  }
+
+  rule.matchCount += 1;
+  rule.lastMatchedAt = Date.now();
+
+  if (rule.action === 'abort') {
+    await request.abort(rule.errorCode);
+  } else if (rule.action === 'fulfill') {
+    const { status = 200, headers = {}, contentType, body = '' } = rule.response;
+    const isJson = typeof body === 'object';
+
+    await request.respond({
+      status,
+      headers,
+      contentType: contentType || (isJson ? 'application/json' : undefined),
+      body: isJson ? JSON.stringify(body) : String(body),
+    });
+  } else {
+    const overrides = {};
+    if (rule.headers) {
+      overrides.headers = { ...request.headers(), ...rule.headers };
+    }
+    if (rule.postData !== null) {
+      overrides.postData = rule.postData;
+    }
+
+    await request.continue(overrides);
+  }
+}
+
+/**
+ * Turn on request interception for a page and route requests through the rules
+ */
+async function enableInterception(session, page) {
+  page.on('request', request => {
+    handleInterceptedRequest(session, request).catch(error => {
+      console.error(`[RULES] Error handling ${request.url()} in ${session.id}: ${error.message}`);
+    });
+  });
+
+  await page.setRequestInterception(true);
+}
+
+/**
+ * Add a rule to a session, enabling interception on its pages the first time
+ * Interception stays on afterwards; requests without a matching rule continue untouched
+ */
+async function addNetworkRule(session, definition) {
+  const rule = createNetworkRule(session, definition);
+  session.networkRules.push(rule);
+
+  if (!session.interceptionEnabled) {
+    session.interceptionEnabled = true;
+    for (const page of session.pages) {
+      await enableInterception(session, page);
+    }
+  }
+
+  return rule;
+}
+
+// ============================================================================
+// Network Capture
+// ============================================================================
+
+const HAR_DEFAULT_MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+const LOG_DEFAULT_MAX_BODY_SIZE = 100 * 1024; // 100 KB
+
+/**
+ * Whether a MIME type holds text that can be stored without base64
+ */
+function isTextMimeType(mimeType) {
+  return /^text\/|[+/](json|xml|javascript|ecmascript|x-www-form-urlencoded)|^image\/svg/.test(mimeType || '');
+}
+
+/**
+ * Read a response body as text or base64, skipping bodies over the size limit
+ */
+async function readResponseBody(response, mimeType, maxBodySize) {
+  try {
+    const buffer = await response.buffer();
+
+    if (buffer.length > maxBodySize) {
+      return { size: buffer.length, body: null, encoding: null, comment: `Body omitted: ${buffer.length} bytes exceeds limit of ${maxBodySize}` };
+    }
+
+    if (isTextMimeType(mimeType)) {
+      return { size: buffer.length, body: buffer.toString('utf8'), encoding: null, comment: null };
+    }
+
+    return { size: buffer.length, body: buffer.toString('base64'), encoding: 'base64', comment: null };
+  } catch (error) {
+    // Redirects and some cached responses have no body
+    return { size: null, body: null, encoding: null, comment: `Body unavailable: ${error.message}` };
+  }
+}
+
+/**
+ * Record every request of a page for the network log and any HAR recording
+ */
+function attachNetworkCapture(page, session) {
+  page.on('request', request => {
+    const tabId = session.tabIds.get(page);
+
+    // A new main-frame document starts a fresh log for this tab
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      session.networkLog = session.networkLog.filter(record => record.tabId !== tabId);
+    }
+
+    session.requestCounter += 1;
+
+    const record = {
+      id: `req_${session.requestCounter}`,
+      tabId,
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      requestHeaders: request.headers(),
+      postData: request.postData(),
+      startedAt: Date.now(),
+      response: null,
+      status: null,
+      statusText: null,
+      responseHeaders: null,
+      mimeType: null,
+      timing: null,
+      remoteAddress: null,
+      finishedAt: null,
+      size: null,
+      body: null,
+      bodyEncoding: null,
+      bodyComment: null,
+      errorText: null,
+      inHar: false,
+    };
+
+    session.requestRecords.set(request, record);
+
+    session.networkLog.push(record);
+    if (session.networkLog.length > CONFIG.MAX_NETWORK_LOG_ENTRIES) {
+      session.networkLog.shift();
+    }
+
+    if (session.har) {
+      // Keep the start of the recording; count what does not fit
+      if (session.har.records.length < CONFIG.MAX_HAR_ENTRIES) {
+        session.har.records.push(record);
+        record.inHar = true;
+      } else {
+        session.har.dropped += 1;
+      }
+    }
+  });
+
+  page.on('response', response => {
+    const record = session.requestRecords.get(response.request());
+    if (!record) return;
+
+    record.response = response;
+    record.status = response.status();
+    record.statusText = response.statusText();
+    record.responseHeaders = response.headers();
+    record.mimeType = (record.responseHeaders['content-type'] || '').split(';')[0].trim();
+    record.timing = response.timing();
+
+    const address = response.remoteAddress();
+    record.remoteAddress = address && address.ip ? address.ip : null;
+  });
+
+  page.on('requestfinished', async request => {
+    const record = session.requestRecords.get(request);
+    if (!record) return;
+
+    record.finishedAt = Date.now();
+
+    const contentLength = Number(record.responseHeaders && record.responseHeaders['content-length']);
+    record.size = Number.isFinite(contentLength) ? contentLength : null;
+
+    const har = session.har;
+    if (!har || !har.includeBodies || !record.inHar || !record.response) return;
+
+    // har/stop waits for body reads still in flight
+    const read = readResponseBody(record.response, record.mimeType, har.maxBodySize).then(({ size, body, encoding, comment }) => {
+      if (size !== null) record.size = size;
+      record.body = body;
+      record.bodyEncoding = encoding;
+      record.bodyComment = comment;
+    });
+    har.pendingBodies.add(read);
+
+    try {
+      await read;
+    } finally {
+      har.pendingBodies.delete(read);
+    }
+  });
+
+  page.on('requestfailed', request => {
+    const record = session.requestRecords.get(request);
+    if (!record) return;
+
+    record.finishedAt = Date.now();
+    record.errorText = request.failure() ? request.failure().errorText : 'unknown error';
+  });
+}
+
+/**
+ * Describe a network record for the network log
+ */
+function describeNetworkRecord(record) {
+  return {
+    id: record.id,
+    tabId: record.tabId,
+    url: record.url,
+    method: record.method,
+    resourceType: record.resourceType,
+    status: record.status,
+    statusText: record.statusText,
+    mimeType: record.mimeType,
+    size: record.size,
+    duration: record.finishedAt ? record.finishedAt - record.startedAt : null,
+    startedAt: record.startedAt,
+    pending: !record.finishedAt,
+    error: record.errorText,
+  };
+}
+
+/**
+ * Filter network records by URL substring, resource type, method and status range
+ */
+function filterNetworkRecords(records, { url, type, method, statusMin, statusMax, tab }) {
+  const types = type ? String(type).toLowerCase().split(',').map(t => t.trim()) : null;
+  const min = statusMin !== undefined && statusMin !== '' ? Number(statusMin) : null;
+  const max = statusMax !== undefined && statusMax !== '' ? Number(statusMax) : null;
+
+  return records.filter(record => {
+    if (url && !record.url.includes(url)) return false;
+    if (types && !types.includes(record.resourceType)) return false;
+    if (method && record.method !== String(method).toUpperCase()) return false;
+    if (tab && record.tabId !== tab) return false;
+
+    // A status filter leaves out requests that never got a response
+    if (min !== null && (record.status === null || record.status < min)) return false;
+    if (max !== null && (record.status === null || record.status > max)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Convert a header object to HAR name/value pairs
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Compute HAR timings from Chromium resource timing (milliseconds, -1 when not applicable)
+ */
+function toHarTimings(record) {
+  const total = record.finishedAt ? record.finishedAt - record.startedAt : 0;
+  const timing = record.timing;
+
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+
+  const timings = {
+    blocked: firstStart !== undefined ? firstStart : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, span(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd)),
+  };
+
+  const beforeReceive = [timings.blocked, timings.dns, timings.connect, timings.send, timings.wait]
+    .filter(value => value > 0)
+    .reduce((sum, value) => sum + value, 0);
+  timings.receive = Math.max(0, total - beforeReceive);
+
+  return timings;
+}
+
+/**
+ * Convert a network record to a HAR 1.2 entry
+ */
+function toHarEntry(record) {
+  let queryString = [];
+  try {
+    queryString = Array.from(new URL(record.url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (e) {
+    // data: and other URLs without a query
+  }
+
+  const timings = toHarTimings(record);
+  const time = Object.values(timings).filter(value => value > 0).reduce((sum, value) => sum + value, 0);
+
+  const request = {
+    method: record.method,
+    url: record.url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHarHeaders(record.requestHeaders),
+    queryString,
+    headersSize: -1,
+    bodySize: record.postData ? Buffer.byteLength(record.postData) : 0,
+  };
+
+  if (record.postData) {
+    request.postData = {
+      mimeType: record.requestHeaders['content-type'] || '',
+      text: record.postData,
+    };
+  }
+
+  const content = {
+    size: record.size !== null ? record.size : 0,
+    mimeType: record.mimeType || 'x-unknown',
+  };
+  if (record.body !== null) content.text = record.body;
+  if (record.bodyEncoding) content.encoding = record.bodyEncoding;
+  if (record.bodyComment) content.comment = record.bodyComment;
+
+  const entry = {
+    startedDateTime: new Date(record.startedAt).toISOString(),
+    time,
+    request,
+    response: {
+      status: record.status || 0,
+      statusText: record.statusText || (record.errorText ? record.errorText : ''),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(record.responseHeaders),
+      content,
+      redirectURL: (record.responseHeaders && record.responseHeaders.location) || '',
+      headersSize: -1,
+      bodySize: record.size !== null ? record.size : -1,
+    },
+    cache: {},
+    timings,
+    _resourceType: record.resourceType,
+    _tabId: record.tabId,
+  };
+
+  if (record.remoteAddress) entry.serverIPAddress = record.remoteAddress;
+  if (record.errorText) entry._error = record.errorText;
+
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 log from a recording
+ */
+async function buildHar(session, har) {
+  let browserVersion = '';
+  try {
+    browserVersion = await session.browser.version();
+  } catch (e) {
+    // Browser may be closing
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'termux-puppeteer-mcp', version: '2.0.0' },
+      browser: { name: 'Chromium', version: browserVersion },
+      pages: [],
+      entries: har.records.map(toHarEntry),
+      comment: `Recorded from ${new Date(har.startedAt).toISOString()} to ${new Date().toISOString()}`
+        + (har.dropped > 0 ? `; ${har.dropped} requests dropped after the first ${CONFIG.MAX_HAR_ENTRIES}` : ''),
+    },
+  };
+}
+
+// ============================================================================
+// Downloads
+// ============================================================================
+
+// Largest download returned inline (base64) by the API
+const DOWNLOAD_MAX_TRANSFER_SIZE = 25 * 1024 * 1024; // 25 MB
+
+/**
+ * Save the session's downloads to its download directory and track their progress
+ * Files are stored under their download GUID; the suggested filename is kept in the record.
+ */
+async function enableDownloads(session) {
+  const downloadPath = await getSessionDir(session, 'downloads');
+  const client = await session.browser.target().createCDPSession();
+  session.browserClient = client;
+
+  const params = {
+    behavior: 'allowAndName',
+    downloadPath,
+    eventsEnabled: true,
+  };
+  if (CONFIG.SESSION_MODE === 'context') {
+    params.browserContextId = session.context.id;
+  }
+  await client.send('Browser.setDownloadBehavior', params);
+
+  // Download events are browser-wide, so in 'context' mode other sessions' downloads show up
+  // too. A tab's main frame shares its target ID: remember every target opened in this
+  // session's context, so downloads from tabs that closed themselves are still recognized.
+  const contextTargets = new Set();
+  if (CONFIG.SESSION_MODE === 'context') {
+    client.on('Target.targetCreated', ({ targetInfo }) => {
+      if (targetInfo.browserContextId === session.context.id) {
+        contextTargets.add(targetInfo.targetId);
+      }
+    });
+    await client.send('Target.setDiscoverTargets', { discover: true });
+  }
+
+  // Download record (or null for other sessions' downloads) by GUID, resolved once the
+  // frame's tab is known; progress events wait for it so none are lost
+  const tracked = new Map();
+
+  client.on('Browser.downloadWillBegin', event => {
+    tracked.set(event.guid, findFramePage(session, event.frameId).then(page => {
+      if (!page && CONFIG.SESSION_MODE === 'context' && !contextTargets.has(event.frameId)) {
+        return null;
+      }
+
+      session.downloadCounter += 1;
+      const download = {
+        id: `dl_${session.downloadCounter}`,
+        guid: event.guid,
+        tab: page ? session.tabIds.get(page) || null : null,
+        url: event.url,
+        filename: event.suggestedFilename,
+        path: path.join(downloadPath, event.guid),
+        state: 'inProgress',
+        receivedBytes: 0,
+        totalBytes: null,
+        startedAt: Date.now(),
+        finishedAt: null,
+      };
+      session.downloads.push(download);
+
+      return download;
+    }));
+  });
+
+  client.on('Browser.downloadProgress', async event => {
+    const pending = tracked.get(event.guid);
+    if (event.state !== 'inProgress') {
+      tracked.delete(event.guid);
+    }
+
+    const download = await pending;
+    if (!download) {
+      return;
+    }
+
+    download.state = event.state; // 'inProgress', 'completed' or 'canceled'
+    download.receivedBytes = event.receivedBytes;
+    download.totalBytes = event.totalBytes || null;
+
+    if (event.state !== 'inProgress' && !download.finishedAt) {
+      download.finishedAt = Date.now();
+      console.log(`[DOWNLOAD] ${download.state} in ${session.id}: ${download.filename} (${download.receivedBytes} bytes)`);
+    }
+  });
+}
+
+/**
+ * Summarize a download for API responses
+ */
+function describeDownload(download) {
+  return {
+    id: download.id,
+    tab: download.tab,
+    url: download.url,
+    filename: download.filename,
+    path: download.path,
+    state: download.state,
+    receivedBytes: download.receivedBytes,
+    totalBytes: download.totalBytes,
+    startedAt: new Date(download.startedAt).toISOString(),
+    duration: download.finishedAt ? download.finishedAt - download.startedAt : null,
+  };
+}
+
+// ============================================================================
+// Dialogs
+// ============================================================================
+
+const DIALOG_ACTIONS = ['accept', 'dismiss', 'queue'];
+
+// Dialogs are dismissed unless the session picks another policy; beforeunload dialogs are
+// accepted, so navigations and tab closes the agent asked for go through
+const DEFAULT_DIALOG_POLICY = {
+  action: 'dismiss',
+  beforeunload: 'accept',
+  promptText: null,
+  timeout: 30 * 1000, // queued dialogs are dismissed after this long
+};
+
+const MAX_DIALOG_HISTORY = 100;
+
+/**
+ * Validate a dialog policy and merge it over the session's current one
+ */
+function updateDialogPolicy(session, { action, beforeunload, promptText, timeout } = {}) {
+  if (action !== undefined && !DIALOG_ACTIONS.includes(action)) {
+    throw new Error(`Invalid dialog action: ${action}. Use one of: ${DIALOG_ACTIONS.join(', ')}`);
+  }
+  if (beforeunload !== undefined && !DIALOG_ACTIONS.includes(beforeunload)) {
+    throw new Error(`Invalid beforeunload action: ${beforeunload}. Use one of: ${DIALOG_ACTIONS.join(', ')}`);
+  }
+
+  if (timeout !== undefined && !(Number(timeout) > 0)) {
+    throw new Error(`Invalid dialog timeout: ${timeout}`);
+  }
+
+  session.dialogPolicy = {
+    action: action !== undefined ? action : session.dialogPolicy.action,
+    beforeunload: beforeunload !== undefined ? beforeunload : session.dialogPolicy.beforeunload,
+    promptText: promptText !== undefined ? promptText : session.dialogPolicy.promptText,
+    timeout: timeout !== undefined ? Number(timeout) : session.dialogPolicy.timeout,
+  };
+
+  return session.dialogPolicy;
+}
+
+/**
+ * Accept or dismiss a dialog and record the outcome
+ */
+async function answerDialog(session, record, dialog, { accept, promptText, handledBy }) {
+  const answer = accept && record.type === 'prompt'
+    ? (promptText !== undefined && promptText !== null ? String(promptText) : record.defaultValue)
+    : null;
+
+  record.state = accept ? 'accepted' : 'dismissed';
+  record.answer = answer;
+  record.handledBy = handledBy;
+  record.handledAt = Date.now();
+
+  session.dialogEvents.push({
+    id: record.id,
+    type: record.type,
+    message: record.message,
+    action: record.state,
+    answer,
+    handledBy,
+    timestamp: record.handledAt,
+  });
+
+  if (accept) {
+    await dialog.accept(answer === null ? undefined : answer);
+  } else {
+    await dialog.dismiss();
+  }
+}
+
+/**
+ * Apply the session's dialog policy to alert, confirm, prompt and beforeunload dialogs
+ * Queued dialogs keep the page blocked until answered, or dismissed after the policy timeout.
+ */
+function attachDialogHandler(page, session) {
+  page.on('dialog', async dialog => {
+    session.dialogCounter += 1;
+    const record = {
+      id: `dlg_${session.dialogCounter}`,
+      tab: session.tabIds.get(page) || null,
+      type: dialog.type(), // 'alert', 'confirm', 'prompt' or 'beforeunload'
+      message: dialog.message(),
+      defaultValue: dialog.defaultValue(),
+      state: 'pending',
+      answer: null,
+      handledBy: null,
+      openedAt: Date.now(),
+      handledAt: null,
+    };
+
+    session.dialogs.push(record);
+    if (session.dialogs.length > MAX_DIALOG_HISTORY) {
+      session.dialogs.shift();
+    }
+
+    const { promptText, timeout } = session.dialogPolicy;
+    const action = record.type === 'beforeunload' ? session.dialogPolicy.beforeunload : session.dialogPolicy.action;
+
+    try {
+      if (action !== 'queue') {
+        await answerDialog(session, record, dialog, { accept: action === 'accept', promptText, handledBy: 'policy' });
+        return;
+      }
+
+      session.dialogEvents.push({
+        id: record.id,
+        type: record.type,
+        message: record.message,
+        action: 'queued',
+        answer: null,
+        handledBy: null,
+        timestamp: record.openedAt,
+      });
+
+      const timer = setTimeout(() => {
+        session.pendingDialogs.delete(record.id);
+        answerDialog(session, record, dialog, { accept: false, handledBy: 'timeout' }).catch(error => {
+          console.error(`[DIALOG] Error dismissing ${record.id} in ${session.id}: ${error.message}`);
+        });
+      }, timeout);
+
+      session.pendingDialogs.set(record.id, { dialog, record, timer });
+    } catch (error) {
+      console.error(`[DIALOG] Error handling ${record.id} in ${session.id}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Answer a queued dialog
+ */
+async function resolveQueuedDialog(session, dialogId, { accept = true, promptText } = {}) {
+  const pending = session.pendingDialogs.get(dialogId);
+  if (!pending) {
+    const record = session.dialogs.find(d => d.id === dialogId);
+    throw new Error(record ? `Dialog ${dialogId} was already ${record.state}` : `Dialog not found: ${dialogId}`);
+  }
+
+  clearTimeout(pending.timer);
+  session.pendingDialogs.delete(dialogId);
+  await answerDialog(session, pending.record, pending.dialog, { accept, promptText, handledBy: 'agent' });
+
+  return pending.record;
+}
+
+// ============================================================================
+// Emulation
+// ============================================================================
+
+// Viewport of tabs without device emulation
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+// Puppeteer v19+ exports KnownDevices, older versions export devices
+const KNOWN_DEVICES = puppeteer.KnownDevices || puppeteer.devices || {};
+
+/**
+ * Names of Puppeteer's known devices (e.g. 'iPhone 13', 'Pixel 5')
+ */
+function getDeviceNames() {
+  return Object.keys(KNOWN_DEVICES).filter(name => KNOWN_DEVICES[name].name === name);
+}
+
+/**
+ * Resolve a known device name (case-insensitive) or a custom descriptor to { name, userAgent, viewport }
+ */
+function resolveDevice(device) {
+  if (typeof device === 'string') {
+    const name = getDeviceNames().find(n => n.toLowerCase() === device.toLowerCase());
+    if (!name) {
+      throw new Error(`Unknown device: ${device}. GET /devices lists the known devices.`);
+    }
+
+    const { userAgent, viewport } = KNOWN_DEVICES[name];
+    return { name, userAgent, viewport: { ...viewport } };
+  }
+
+  const viewport = device && device.viewport;
+  if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+    throw new Error('A custom device needs a viewport with width and height');
+  }
+
+  return {
+    name: device.name || 'custom',
+    userAgent: device.userAgent || null,
+    viewport: {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: viewport.deviceScaleFactor || 1,
+      isMobile: Boolean(viewport.isMobile),
+      hasTouch: Boolean(viewport.hasTouch),
+      isLandscape: Boolean(viewport.isLandscape),
+    },
+  };
+}
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+const MEDIA_TYPES = ['screen', 'print'];
+
+/**
+ * Override the user agent (device) and Accept-Language / navigator.language (locale) together
+ */
+async function applyUserAgent(session, page, emulation = session.emulation) {
+  const { device } = session;
+  const client = await getPageClient(page);
+
+  await client.send('Emulation.setUserAgentOverride', {
+    userAgent: device && device.userAgent ? device.userAgent : await session.browser.userAgent(),
+    acceptLanguage: emulation.locale || undefined,
+  });
+}
+
+/**
+ * Apply the session's device to a page, or restore the default viewport and user agent
+ * Changing isMobile or hasTouch makes Puppeteer reload the page.
+ */
+async function emulateDevice(session, page) {
+  await applyUserAgent(session, page);
+  await page.setViewport(session.device ? session.device.viewport : DEFAULT_VIEWPORT);
+}
+
+/**
+ * Validate environment overrides and merge them over the session's current ones
+ * undefined keeps a setting, null clears it and reset starts from none.
+ * The session is left unchanged; store the result once it has been applied.
+ */
+function mergeEmulation(session, settings = {}) {
+  const { reset = false, timezone, locale, geolocation, colorScheme, reducedMotion, media } = settings;
+
+  if (colorScheme && !COLOR_SCHEMES.includes(colorScheme)) {
+    throw new Error(`Invalid colorScheme: ${colorScheme}. Use one of: ${COLOR_SCHEMES.join(', ')}`);
+  }
+  if (reducedMotion && !REDUCED_MOTION.includes(reducedMotion)) {
+    throw new Error(`Invalid reducedMotion: ${reducedMotion}. Use one of: ${REDUCED_MOTION.join(', ')}`);
+  }
+  if (media && !MEDIA_TYPES.includes(media)) {
+    throw new Error(`Invalid media: ${media}. Use one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+  if (geolocation && !(Math.abs(geolocation.latitude) <= 90 && Math.abs(geolocation.longitude) <= 180)) {
+    throw new Error('geolocation needs a latitude (-90 to 90) and longitude (-180 to 180)');
+  }
+
+  const emulation = reset ? {} : { ...session.emulation };
+  for (const [key, value] of Object.entries({ timezone, locale, geolocation, colorScheme, reducedMotion, media })) {
+    if (value === null || value === '') {
+      delete emulation[key];
+    } else if (value !== undefined) {
+      emulation[key] = value;
+    }
+  }
+
+  if (emulation.geolocation) {
+    const { latitude, longitude, accuracy = 10 } = emulation.geolocation;
+    emulation.geolocation = { latitude, longitude, accuracy };
+  }
+
+  return emulation;
+}
+
+/**
+ * Grant the geolocation permission to every origin while a location is emulated
+ */
+async function applyGeolocationPermission(session, emulation = session.emulation) {
+  if (!session.browserClient) {
+    throw new Error('Browser-level DevTools session unavailable');
+  }
+
+  const params = CONFIG.SESSION_MODE === 'context' ? { browserContextId: session.context.id } : {};
+
+  if (emulation.geolocation) {
+    await session.browserClient.send('Browser.grantPermissions', { ...params, permissions: ['geolocation'] });
+  } else {
+    await session.browserClient.send('Browser.resetPermissions', params);
+  }
+}
+
+/**
+ * Apply the session's environment overrides to a page, clearing those that are unset
+ */
+async function emulateEnvironment(session, page, emulation = session.emulation) {
+  const { timezone, locale, geolocation, colorScheme, reducedMotion, media } = emulation;
+  const client = await getPageClient(page);
+
+  await applyUserAgent(session, page, emulation);
+  // Intl and Date formatting use the first language of the locale
+  await client.send('Emulation.setLocaleOverride', locale ? { locale: locale.split(/[,;]/)[0].trim() } : {});
+  await client.send('Emulation.setTimezoneOverride', { timezoneId: timezone || '' });
+
+  if (geolocation) {
+    await client.send('Emulation.setGeolocationOverride', geolocation);
+  } else {
+    await client.send('Emulation.clearGeolocationOverride');
+  }
+
+  await client.send('Emulation.setEmulatedMedia', {
+    media: media || '',
+    features: [
+      { name: 'prefers-color-scheme', value: colorScheme || '' },
+      { name: 'prefers-reduced-motion', value: reducedMotion || '' },
+    ],
+  });
+}
+
+/**
+ * Apply the session's device and environment emulation to a newly opened tab
+ */
+async function emulateNewPage(session, page) {
+  if (session.device) {
+    await emulateDevice(session, page);
+  }
+
+  if (Object.keys(session.emulation).length > 0) {
+    await emulateEnvironment(session, page);
+  }
+}
+
+// ============================================================================
+// Screenshots
+// ============================================================================
+
+const SCREENSHOT_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+/**
+ * Capture a PNG of the viewport, the full page, one element (selector or ref) or a clip rectangle
+ */
+async function captureScreenshot(page, { fullPage = false, selector, ref, clip } = {}) {
+  if ([fullPage, selector || ref, clip].filter(Boolean).length > 1) {
+    throw new Error('Use only one of fullPage, selector/ref and clip');
+  }
+
+  if (selector || ref) {
+    const elementSelector = await resolveSelector(page, { selector, ref });
+    const handle = await page.$(elementSelector);
+    if (!handle) {
+      throw new Error(`Element not found: ${elementSelector}`);
+    }
+
+    try {
+      return await handle.screenshot({ type: 'png' });
+    } finally {
+      await handle.dispose();
+    }
+  }
+
+  if (clip && !(clip.width > 0 && clip.height > 0)) {
+    throw new Error('clip needs a positive width and height');
+  }
+
+  return page.screenshot({
+    type: 'png',
+    fullPage,
+    ...(clip ? { clip: { x: clip.x || 0, y: clip.y || 0, width: clip.width, height: clip.height } } : {}),
+  });
+}
+
+/**
+ * Convert a PNG capture to the requested format, scaled down to fit maxWidth x maxHeight
+ * Defaults (JPEG, quality 60, at most 800x600) keep responses small.
+ */
+async function encodeScreenshot(buffer, { format = 'jpeg', quality = 60, maxWidth = 800, maxHeight = 600, resize = true } = {}) {
+  if (!SCREENSHOT_FORMATS[format]) {
+    throw new Error(`Invalid format: ${format}. Use one of: ${Object.keys(SCREENSHOT_FORMATS).join(', ')}`);
+  }
+
+  let image = sharp(buffer);
+
+  if (resize) {
+    // Preserve aspect ratio and never upscale
+    image = image.resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true });
+  }
+
+  if (format === 'png') {
+    image = image.png();
+  } else if (format === 'webp') {
+    image = image.webp({ quality });
+  } else {
+    image = image.jpeg({ quality });
+  }
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+
+  return {
+    data,
+    format,
+    mimeType: SCREENSHOT_FORMATS[format],
+    width: info.width,
+    height: info.height,
+  };
+}
+
+// ============================================================================
+// Visual Comparison
+// ============================================================================
+
+// Attribute of the overlays that cover ignore regions during a capture
+const MASK_ATTRIBUTE = 'data-mcp-mask';
+
+/**
+ * Resolve a baseline name to its file path
+ */
+function getBaselinePath(name) {
+  if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid baseline name: ${name}. Use letters, digits, dots, dashes and underscores.`);
+  }
+
+  return path.join(BASELINE_DIR, `${name}.png`);
+}
+
+/**
+ * Cover ignore regions with solid overlays so they capture identically every run
+ * Regions are selectors (every match is covered) or { x, y, width, height } rectangles
+ * in page coordinates (CSS pixels).
+ */
+async function maskRegions(page, ignore) {
+  return page.evaluate((regions, attribute) => {
+    const rects = [];
+
+    for (const region of regions) {
+      if (typeof region === 'string') {
+        for (const el of document.querySelectorAll(region)) {
+          const rect = el.getBoundingClientRect();
+          const fixed = getComputedStyle(el).position === 'fixed';
+          rects.push({
+            x: rect.left + (fixed ? 0 : window.scrollX),
+            y: rect.top + (fixed ? 0 : window.scrollY),
+            width: rect.width,
+            height: rect.height,
+            fixed,
+          });
+        }
+      } else {
+        rects.push({ ...region, fixed: false });
+      }
+    }
+
+    for (const rect of rects) {
+      const overlay = document.createElement('div');
+      overlay.setAttribute(attribute, '');
+      overlay.style.cssText = `position: ${rect.fixed ? 'fixed' : 'absolute'}; left: ${rect.x || 0}px; top: ${rect.y || 0}px;`
+        + ` width: ${rect.width}px; height: ${rect.height}px; background: #ff00ff; z-index: 2147483647; pointer-events: none;`;
+      document.documentElement.appendChild(overlay);
+    }
+
+    return rects.length;
+  }, ignore, MASK_ATTRIBUTE);
+}
+
+/**
+ * Remove the overlays added by maskRegions
+ */
+async function unmaskRegions(page) {
+  await page.evaluate(attribute => {
+    document.querySelectorAll(`[${attribute}]`).forEach(el => el.remove());
+  }, MASK_ATTRIBUTE);
+}
+
+// Pixels compared between yields to the event loop, so large diffs do not stall other sessions
+const DIFF_CHUNK_PIXELS = 64 * 1024;
+
+/**
+ * Compare two PNGs pixel by pixel
+ * A pixel differs when any channel differs by more than pixelThreshold (0-1); pixels outside
+ * the smaller image count as different. The diff image shows the current capture faded,
+ * with differing pixels in red.
+ */
+async function diffImages(baselinePng, currentPng, pixelThreshold) {
+  const [baseline, current] = await Promise.all([baselinePng, currentPng].map(buffer => {
+    return sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  }));
+
+  const width = Math.max(baseline.info.width, current.info.width);
+  const height = Math.max(baseline.info.height, current.info.height);
+  const limit = pixelThreshold * 255;
+  const diff = Buffer.alloc(width * height * 4);
+  const chunkRows = Math.max(1, Math.floor(DIFF_CHUNK_PIXELS / width));
+  let mismatched = 0;
+
+  for (let y = 0; y < height; y++) {
+    if (y > 0 && y % chunkRows === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inBaseline = x < baseline.info.width && y < baseline.info.height;
+      const inCurrent = x < current.info.width && y < current.info.height;
+      const b = (y * baseline.info.width + x) * 4;
+      const c = (y * current.info.width + x) * 4;
+
+      let changed = !inBaseline || !inCurrent;
+      for (let channel = 0; !changed && channel < 4; channel++) {
+        changed = Math.abs(baseline.data[b + channel] - current.data[c + channel]) > limit;
+      }
+
+      if (changed) {
+        mismatched += 1;
+        diff[out] = 255;
+        diff[out + 1] = 0;
+        diff[out + 2] = 0;
+      } else {
+        const gray = 0.3 * current.data[c] + 0.59 * current.data[c + 1] + 0.11 * current.data[c + 2];
+        diff[out] = diff[out + 1] = diff[out + 2] = Math.round(255 - (255 - gray) * 0.3);
+      }
+      diff[out + 3] = 255;
+    }
+  }
+
+  return {
+    mismatched,
+    total: width * height,
+    sameSize: baseline.info.width === current.info.width && baseline.info.height === current.info.height,
+    baselineSize: { width: baseline.info.width, height: baseline.info.height },
+    currentSize: { width: current.info.width, height: current.info.height },
+    diff: await sharp(diff, { raw: { width, height, channels: 4 } }).png().toBuffer(),
+  };
+}
+
+// ============================================================================
+// Content Extraction
+// ============================================================================
+
+const CONTENT_FORMATS = ['html', 'text', 'markdown', 'readability'];
+
+// Characters of content returned per request unless maxLength is given
+const CONTENT_DEFAULT_MAX_LENGTH = 10000;
+
+/**
+ * Extract content in the page: rendered text, Markdown (headings, lists, links, tables, code)
+ * or, for 'readability', Markdown of the main article only
+ * Runs in the page, so it must not use anything from this module.
+ */
+function extractPageContent(rootSelector, format) {
+  let root = rootSelector ? document.querySelector(rootSelector) : document.body;
+  if (!root) {
+    throw new Error(rootSelector ? `Element not found: ${rootSelector}` : 'Page has no body');
+  }
+
+  if (format === 'html') {
+    return root.outerHTML;
+  }
+
+  if (format === 'text') {
+    return root.innerText;
+  }
+
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'INPUT', 'SELECT', 'TEXTAREA']);
+  const BOILERPLATE_TAGS = new Set(['NAV', 'HEADER', 'FOOTER', 'ASIDE', 'FORM']);
+  const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search']);
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'FIGURE', 'FIGCAPTION',
+    'DL', 'DT', 'DD', 'ADDRESS', 'DETAILS', 'SUMMARY', 'FORM', 'FIELDSET', 'BODY',
+  ]);
+  const readability = format === 'readability';
+
+  if (readability) {
+    // Prefer semantic containers, else the block holding the most paragraph text
+    let best = null;
+    let bestScore = 0;
+
+    for (const el of root.querySelectorAll('article, main, [role="main"]')) {
+      const length = el.innerText.trim().length;
+      if (length > bestScore) {
+        best = el;
+        bestScore = length;
+      }
+    }
+
+    if (!best || bestScore < 250) {
+      const scores = new Map();
+      for (const p of root.querySelectorAll('p, pre, blockquote')) {
+        const length = p.innerText.trim().length;
+        if (length < 25 || !p.parentElement) {
+          continue;
+        }
+        scores.set(p.parentElement, (scores.get(p.parentElement) || 0) + length);
+        if (p.parentElement.parentElement) {
+          scores.set(p.parentElement.parentElement, (scores.get(p.parentElement.parentElement) || 0) + length / 2);
+        }
+      }
+
+      for (const [el, score] of scores) {
+        if (score > bestScore) {
+          best = el;
+          bestScore = score;
+        }
+      }
+    }
+
+    root = best || root;
+  }
+
+  const isHidden = el => {
+    if (el.hidden) {
+      return true;
+    }
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const convert = (node, ctx) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const el = node;
+    const tag = el.tagName.toUpperCase();
+
+    if (SKIP_TAGS.has(tag) || isHidden(el)) {
+      return '';
+    }
+
+    if (readability && el !== root && (BOILERPLATE_TAGS.has(tag) || BOILERPLATE_ROLES.has(el.getAttribute('role')))) {
+      return '';
+    }
+
+    const children = (childCtx = ctx) => Array.from(el.childNodes).map(child => convert(child, childCtx)).join('');
+
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+        const text = children().trim();
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'A': {
+        // Links often wrap headings or cards; keep them on one line
+        const text = children().replace(/\s+/g, ' ').replace(/#{1,6} /g, '').trim();
+        const href = el.getAttribute('href');
+        if (!text || !href || href.startsWith('#') || href.startsWith('javascript:')) {
+          return text;
+        }
+        return `[${text}](${el.href})`;
+      }
+      case 'IMG': {
+        const alt = (el.getAttribute('alt') || '').trim();
+        return alt && el.src && !el.src.startsWith('data:') ? `![${alt}](${el.src})` : '';
+      }
+      case 'STRONG': case 'B': {
+        const text = children().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'EM': case 'I': {
+        const text = children().trim();
+        return text ? `*${text}*` : '';
+      }
+      case 'CODE': {
+        const text = el.textContent;
+        return text ? `\`${text}\`` : '';
+      }
+      case 'PRE':
+        return `\n\n\`\`\`\n${el.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      case 'BLOCKQUOTE': {
+        const text = children().trim().replace(/\n{3,}/g, '\n\n');
+        return text ? `\n\n${text.split('\n').map(line => `> ${line}`).join('\n')}\n\n` : '';
+      }
+      case 'UL': case 'OL': {
+        const depth = ctx.listDepth || 0;
+        const items = Array.from(el.children).filter(child => child.tagName === 'LI' && !isHidden(child));
+        const lines = items.map((li, index) => {
+          const marker = tag === 'OL' ? `${index + 1}.` : '-';
+          const text = Array.from(li.childNodes)
+            .map(child => convert(child, { ...ctx, listDepth: depth + 1 }))
+            .join('')
+            .trim()
+            .replace(/\n{2,}/g, '\n');
+          return `${'  '.repeat(depth)}${marker} ${text}`;
+        });
+        return depth === 0 ? `\n\n${lines.join('\n')}\n\n` : `\n${lines.join('\n')}\n`;
+      }
+      case 'TABLE': {
+        const rows = Array.from(el.rows)
+          .filter(row => !isHidden(row))
+          .map(row => Array.from(row.cells).map(cell => {
+            return convert(cell, ctx).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+          }));
+        if (rows.length === 0) {
+          return '';
+        }
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+        return `\n\n${[line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n')}\n\n`;
+      }
+      case 'TD': case 'TH': case 'LI':
+        return children();
+      default: {
+        const content = children();
+        return BLOCK_TAGS.has(tag) ? `\n\n${content.trim()}\n\n` : content;
+      }
+    }
+  };
+
+  // Tidy whitespace outside code blocks, keeping list indentation
+  let markdown = convert(root, { listDepth: 0 })
+    .split(/(```\n[\s\S]*?\n```)/)
+    .map((part, index) => index % 2 ? part : part
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n[ \t]+(?![ \t]|(?:[-*]|\d+\.) )/g, '\n')
+      .replace(/\n{3,}/g, '\n\n'))
+    .join('')
+    .trim();
+
+  if (readability && document.title && !/^# /m.test(markdown)) {
+    markdown = `# ${document.title}\n\n${markdown}`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Get the content of a page (or of the element matching scopeSelector) in the given format
+ */
+async function getPageContent(page, { format = 'html', scopeSelector = null } = {}) {
+  if (!CONTENT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Use one of: ${CONTENT_FORMATS.join(', ')}`);
+  }
+
+  // Full documents keep their doctype
+  if (format === 'html' && !scopeSelector) {
+    return page.content();
+  }
+
+  return page.evaluate(extractPageContent, scopeSelector, format);
+}
+
+// ============================================================================
+// API Routes
+// ============================================================================
+
+/**
+ * Health check
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    sessions: sessions.size,
+    maxSessions: CONFIG.MAX_SESSIONS,
+    sessionMode: CONFIG.SESSION_MODE,
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * List Puppeteer's known device names for device emulation
+ * GET /devices
+ */
+app.get('/devices', (req, res) => {
+  res.json({
+    success: true,
+    devices: getDeviceNames(),
+  });
+});
+
+/**
+ * Create a new session
+ * POST /session/create
+ * Body: { metadata?: object, storageState?: string, device?: string|object }
+ */
+app.post('/session/create', async (req, res) => {
+  try {
+    const session = await createSession(req.body?.metadata, {
+      storageState: req.body?.storageState,
+      device: req.body?.device,
+    });
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      metadata: session.metadata,
+      device: session.device,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get session info
+ * GET /session/:id/info
+ */
+app.get('/session/:id/info', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+
+    res.json({
+      success: true,
+      session: {
+        id: session.id,
+        pagesCount: session.pages.length,
+        activeTab: session.tabIds.get(session.activePage) || null,
+        device: session.device ? session.device.name : null,
+        emulation: session.emulation,
+        currentUrl: session.currentUrl,
+        lastAccessed: session.lastAccessed,
+        idleTime: Date.now() - session.lastAccessed,
+        metadata: session.metadata,
+      },
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Navigate to a URL
+ * POST /session/:id/navigate
+ * Body: { url: string, waitUntil?: string, tab?: number|string }
+ */
+app.post('/session/:id/navigate', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { url, waitUntil = 'networkidle2', tab } = req.body;
+
+    // Clear diagnostics before navigation
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    await page.goto(url, { waitUntil });
+
+    session.currentUrl = url;
+
+    const title = await page.title();
+    const pageUrl = page.url();
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      title,
+      url: pageUrl,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Click an element or a point on the page
+ * POST /session/:id/click
+ * Body: { selector?: string, ref?: string, x?: number, y?: number, offset?: { x, y },
+ *         button?: 'left'|'right'|'middle', clickCount?: number, delay?: number,
+ *         waitForNavigation?: boolean, tab?: number|string }
+ */
+app.post('/session/:id/click', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      x,
+      y,
+      offset,
+      button = 'left',
+      clickCount = 1,
+      delay = 0,
+      waitForNavigation = false,
+      tab,
+    } = req.body;
+
+    // Clear diagnostics before click
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const clickOptions = { button, clickCount, delay };
+
+    let click;
+    if (hasCoordinates(req.body)) {
+      click = () => page.mouse.click(x, y, clickOptions);
+    } else {
+      const selector = await resolveSelector(page, req.body);
+
+      if (offset) {
+        const point = await getElementPoint(page, selector, offset);
+        click = () => page.mouse.click(point.x, point.y, clickOptions);
+      } else {
+        click = () => page.click(selector, clickOptions);
+      }
+    }
+
+    if (waitForNavigation) {
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        click(),
+      ]);
+    } else {
+      await click();
+    }
+
+    const newUrl = page.url();
+    const title = await page.title();
+    session.currentUrl = newUrl;
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      newUrl,
+      title,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Hover over an element or a point on the page
+ * POST /session/:id/hover
+ * Body: { selector?: string, ref?: string, x?: number, y?: number, tab?: number|string }
+ */
+app.post('/session/:id/hover', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { x, y, tab } = req.body;
+
+    // Clear diagnostics before hover
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+
+    if (hasCoordinates(req.body)) {
+      await page.mouse.move(x, y);
+    } else {
+      await page.hover(await resolveSelector(page, req.body));
+    }
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Drag an element onto another element
+ * POST /session/:id/drag
+ * Body: { source?: string, sourceRef?: string, target?: string, targetRef?: string, steps?: number, tab?: number|string }
+ */
+app.post('/session/:id/drag', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      source,
+      sourceRef,
+      target,
+      targetRef,
+      steps = 10,
+      tab,
+    } = req.body;
+
+    // Clear diagnostics before drag
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const sourceSelector = await resolveSelector(page, { selector: source, ref: sourceRef });
+    const targetSelector = await resolveSelector(page, { selector: target, ref: targetRef });
+
+    const isHtml5Draggable = await page.$eval(sourceSelector, el => el.draggable === true);
+
+    if (isHtml5Draggable) {
+      // Native drag-and-drop needs Puppeteer's drag support; mouse events alone do not fire dragstart/drop
+      const sourceHandle = await page.$(sourceSelector);
+      const targetHandle = await page.$(targetSelector);
+
+      if (!sourceHandle || !targetHandle) {
+        await sourceHandle?.dispose();
+        await targetHandle?.dispose();
+        throw new Error(`Element not found: ${sourceHandle ? targetSelector : sourceSelector}`);
+      }
+
+      try {
+        if (typeof page.setDragInterception === 'function') {
+          await page.setDragInterception(true);
+        }
+        await sourceHandle.dragAndDrop(targetHandle);
+      } finally {
+        if (typeof page.setDragInterception === 'function') {
+          await page.setDragInterception(false);
+        }
+        await sourceHandle?.dispose();
+        await targetHandle?.dispose();
+      }
+    } else {
+      // Pointer-driven widgets (sortable lists, canvas apps) follow the mouse
+      const start = await getElementPoint(page, sourceSelector);
+      await page.mouse.move(start.x, start.y);
+      await page.mouse.down();
+
+      try {
+        const end = await getElementPoint(page, targetSelector);
+        await page.mouse.move(end.x, end.y, { steps });
+      } finally {
+        // Never leave the button held down for later actions
+        await page.mouse.up();
+      }
+    }
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      mode: isHtml5Draggable ? 'html5' : 'mouse',
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Type text into an element
+ * POST /session/:id/type
+ * Body: { selector?: string, ref?: string, text: string, delay?: number, clear?: boolean, pressEnter?: boolean, waitForNavigation?: boolean, tab?: number|string }
+ */
+app.post('/session/:id/type', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      text = '',
+      delay = 0,
+      clear = false,
+      pressEnter = false,
+      waitForNavigation = false,
+      tab,
+    } = req.body;
+
+    // Clear diagnostics before typing
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const selector = await resolveSelector(page, req.body);
+
+    if (clear) {
+      // Select existing content so the typed text replaces it
+      await page.click(selector, { clickCount: 3 });
+      await page.keyboard.press('Backspace');
+    }
+
+    await page.type(selector, text, { delay });
+
+    if (pressEnter) {
+      if (waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2' }),
+          page.keyboard.press('Enter'),
+        ]);
+      } else {
+        await page.keyboard.press('Enter');
+      }
+    }
+
+    const newUrl = page.url();
+    const title = await page.title();
+    session.currentUrl = newUrl;
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      newUrl,
+      title,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Wait for a condition on the page
+ * POST /session/:id/wait
+ * Body: { selector?: string, state?: 'attached'|'visible'|'hidden'|'detached', text?: string,
+ *         function?: string, url?: string, urlRegex?: string, networkIdle?: boolean, idleTime?: number,
+ *         timeout?: number, tab?: number|string }
+ */
+app.post('/session/:id/wait', async (req, res) => {
+  const startedAt = Date.now();
+
+  try {
+    const session = getSession(req.params.id);
+    const {
+      selector,
+      state = 'attached',
+      text,
+      function: predicate,
+      url,
+      urlRegex,
+      networkIdle = false,
+      idleTime = 500,
+      timeout = 30000,
+      tab,
+    } = req.body;
+
+    const conditions = [selector, text, predicate, url || urlRegex, networkIdle || undefined]
+      .filter(condition => condition !== undefined && condition !== null && condition !== '');
+    if (conditions.length !== 1) {
+      throw new Error('Provide exactly one of: selector, text, function, url/urlRegex, networkIdle');
+    }
+
+    const page = await getCurrentPage(session, tab);
+    let condition;
+
+    if (selector) {
+      if (!['attached', 'visible', 'hidden', 'detached'].includes(state)) {
+        throw new Error(`Invalid state: ${state}. Use attached, visible, hidden or detached`);
+      }
+
+      if (state === 'detached') {
+        // A hidden wait also resolves for elements still in the DOM; wait for removal itself
+        await page.waitForFunction(sel => !document.querySelector(sel), { timeout, polling: 100 }, selector);
+      } else {
+        await page.waitForSelector(selector, {
+          timeout,
+          visible: state === 'visible',
+          hidden: state === 'hidden',
+        });
+      }
+      condition = `selector "${selector}" ${state}`;
+    } else if (text) {
+      await page.waitForFunction(
+        (expected) => document.body && document.body.innerText.includes(expected),
+        { timeout, polling: 100 },
+        text
+      );
+      condition = `text "${text}"`;
+    } else if (predicate) {
+      // Accept either an expression or a function body with a return statement
+      await page.waitForFunction(
+        (source) => {
+          const fn = /\breturn\b/.test(source) ? new Function(source) : new Function(`return (${source});`);
+          return fn();
+        },
+        { timeout, polling: 100 },
+        predicate
+      );
+      condition = 'function';
+    } else if (url || urlRegex) {
+      const matcher = urlRegex ? new RegExp(urlRegex) : globToRegExp(url);
+
+      // Poll from Node: navigations would destroy an in-page waitForFunction
+      while (!matcher.test(page.url())) {
+        if (Date.now() - startedAt > timeout) {
+          throw new Error(`Waiting for URL ${url || urlRegex} failed: ${timeout}ms exceeded (current URL: ${page.url()})`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      condition = `URL ${url || urlRegex}`;
+    } else {
+      await page.waitForNetworkIdle({ idleTime, timeout });
+      condition = `network idle (${idleTime}ms)`;
+    }
+
+    session.currentUrl = page.url();
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      condition,
+      waited: Date.now() - startedAt,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      waited: Date.now() - startedAt,
+    });
+  }
+});
+
+/**
+ * Press keys: a single key, a chord with modifiers, or a sequence
+ * POST /session/:id/keyboard
+ * Body: { key?: string, keys?: string[], selector?: string, ref?: string, delay?: number,
+ *         waitForNavigation?: boolean, tab?: number|string }
+ */
+app.post('/session/:id/keyboard', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      key,
+      keys,
+      selector,
+      ref,
+      delay = 0,
+      waitForNavigation = false,
+      tab,
+    } = req.body;
+
+    const sequence = key ? [key] : keys;
+    if (!Array.isArray(sequence) || sequence.length === 0) {
+      throw new Error('Provide key or a non-empty keys array');
+    }
+
+    // Clear diagnostics before key presses
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+
+    if (selector || ref) {
+      await page.focus(await resolveSelector(page, { selector, ref }));
+    }
+
+    const pressAll = async () => {
+      for (const chord of sequence) {
+        await pressChord(page, chord, delay);
+      }
+    };
+
+    if (waitForNavigation) {
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        pressAll(),
+      ]);
+    } else {
+      await pressAll();
+    }
+
+    const newUrl = page.url();
+    const title = await page.title();
+    session.currentUrl = newUrl;
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      pressed: sequence,
+      newUrl,
+      title,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Choose options in a <select>
+ * POST /session/:id/select
+ * Body: { selector?: string, ref?: string, value?: string|string[], label?: string|string[], tab?: number|string }
+ */
+app.post('/session/:id/select', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { value, label, tab } = req.body;
+
+    if (value === undefined && label === undefined) {
+      throw new Error('Provide value or label');
+    }
+
+    // Clear diagnostics before selecting
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const selector = await resolveSelector(page, req.body);
+    const selected = value !== undefined
+      ? await selectOptions(page, selector, value, 'value')
+      : await selectOptions(page, selector, label, 'label');
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      selected,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Check or uncheck a checkbox or radio
+ * POST /session/:id/check
+ * Body: { selector?: string, ref?: string, checked?: boolean, tab?: number|string }
+ */
+app.post('/session/:id/check', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { checked = true, tab } = req.body;
+
+    // Clear diagnostics before checking
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const selector = await resolveSelector(page, req.body);
+    const result = await setChecked(page, selector, checked);
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      ...result,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Fill several form fields in one call
+ * POST /session/:id/fill-form
+ * Body: { fields: { [selectorNameOrLabel]: value }, tab?: number|string }
+ */
+app.post('/session/:id/fill-form', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { fields, tab } = req.body;
+
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+      throw new Error('fields must be a non-empty object');
+    }
+
+    // Clear diagnostics before filling
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const results = [];
+
+    try {
+      for (const [key, value] of Object.entries(fields)) {
+        const field = await locateField(page, key);
+
+        if (!field) {
+          results.push({ field: key, found: false, set: false, error: 'Field not found' });
+          continue;
+        }
+
+        try {
+          await setFieldValue(page, field, value);
+          results.push({ field: key, found: true, set: true, matchedBy: field.matchedBy, kind: field.type || field.tag });
+        } catch (error) {
+          results.push({ field: key, found: true, set: false, matchedBy: field.matchedBy, kind: field.type || field.tag, error: error.message });
+        }
+      }
+    } finally {
+      // Leave the app's DOM as it was; a field may have navigated the page away
+      await clearFieldTags(page).catch(() => {});
+    }
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      results,
+      filled: results.filter(result => result.set).length,
+      total: results.length,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Attach files to a file input
+ * Files are streamed in the request (base64) or given as paths inside the container.
+ * Non-input elements are clicked and the resulting file chooser is answered.
+ * POST /session/:id/upload
+ * Body: { selector?: string, ref?: string, files?: [{ name: string, content: string }], paths?: string[], tab?: number|string }
+ */
+app.post('/session/:id/upload', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { files = [], paths = [], tab } = req.body;
+
+    if (files.length === 0 && paths.length === 0) {
+      throw new Error('Provide files (name + base64 content) or paths');
+    }
+
+    // Clear diagnostics before upload
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+    const selector = await resolveSelector(page, req.body);
+
+    const filePaths = [];
+
+    if (files.length > 0) {
+      // One directory per file keeps original names, even when two files share one
+      const uploadDir = path.join(await getSessionDir(session, 'uploads'), String(Date.now()));
+
+      for (const [index, file] of files.entries()) {
+        const name = String(file.name || 'upload');
+        if (/[/\\]/.test(name) || name === '.' || name === '..') {
+          throw new Error(`Invalid file name: ${name}`);
+        }
+
+        const fileDir = path.join(uploadDir, String(index));
+        await fs.promises.mkdir(fileDir, { recursive: true });
+
+        const filePath = path.join(fileDir, name);
+        await fs.promises.writeFile(filePath, Buffer.from(file.content || '', 'base64'));
+        filePaths.push(filePath);
+      }
+    }
+
+    for (const filePath of paths) {
+      await fs.promises.access(filePath, fs.constants.R_OK).catch(() => {
+        throw new Error(`File not readable in the browser container: ${filePath}`);
+      });
+      filePaths.push(filePath);
+    }
+
+    const isFileInput = await page.$eval(selector, el => el.tagName === 'INPUT' && el.type === 'file');
+    let method;
+
+    if (isFileInput) {
+      const handle = await page.$(selector);
+      try {
+        await handle.uploadFile(...filePaths);
+      } finally {
+        await handle.dispose();
+      }
+      method = 'uploadFile';
+    } else {
+      const [chooser] = await Promise.all([
+        page.waitForFileChooser({ timeout: 10000 }),
+        page.click(selector),
+      ]);
+      await chooser.accept(filePaths);
+      method = 'fileChooser';
+    }
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      method,
+      files: filePaths.map(filePath => path.basename(filePath)),
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Take a screenshot
+ * Width and height override the viewport size; other emulated viewport settings are kept.
+ * The capture is scaled down to fit maxWidth x maxHeight unless resize is false.
+ * POST /session/:id/screenshot
+ * Body: { width?: number, height?: number, delay?: number, waitForSelector?: string, tab?: number|string,
+ *         fullPage?: boolean, selector?: string, ref?: string, clip?: { x, y, width, height },
+ *         format?: 'png'|'jpeg'|'webp', quality?: number, maxWidth?: number, maxHeight?: number, resize?: boolean }
+ */
+app.post('/session/:id/screenshot', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      width,
+      height,
+      delay = 0,
+      waitForSelector,
+      tab,
+    } = req.body;
+
+    const page = await getCurrentPage(session, tab);
+
+    if (width || height) {
+      const viewport = page.viewport() || DEFAULT_VIEWPORT;
+      await page.setViewport({
+        ...viewport,
+        width: width || viewport.width,
+        height: height || viewport.height,
+      });
+    }
+
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout: 10000 });
+    }
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const capture = await captureScreenshot(page, req.body);
+    const image = await encodeScreenshot(capture, req.body);
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      screenshot: image.data.toString('base64'),
+      format: image.format,
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Compare the page with a named baseline screenshot; the first run records the baseline
+ * Takes the screenshot capture and encoding options; the returned image is the diff
+ * (or the new baseline), while baselines are stored at full resolution.
+ * POST /session/:id/visual-compare
+ * Body: { name: string, threshold?: number, pixelThreshold?: number, ignore?: Array<string|{ x, y, width, height }>,
+ *         update?: boolean, waitForSelector?: string, delay?: number, tab?: number|string,
+ *         fullPage?, selector?, ref?, clip?, format?, quality?, maxWidth?, maxHeight?, resize? }
+ */
+app.post('/session/:id/visual-compare', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      name,
+      threshold = 0.1, // percent of pixels allowed to differ
+      pixelThreshold = 0.1,
+      ignore = [],
+      update = false,
+      waitForSelector,
+      delay = 0,
+      tab,
+    } = req.body;
+
+    const baselinePath = getBaselinePath(name);
+    const diffPath = baselinePath.replace(/\.png$/, '.diff.png');
+    const page = await getCurrentPage(session, tab);
+
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout: 10000 });
+    }
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    let capture;
+    const masked = await maskRegions(page, ignore);
+    try {
+      capture = await captureScreenshot(page, req.body);
+    } finally {
+      await unmaskRegions(page);
+    }
+
+    const baseline = update ? null : await fs.promises.readFile(baselinePath).catch(() => null);
+    const result = {
+      success: true,
+      name,
+      baselinePath,
+      ignoredRegions: masked,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics: getDiagnostics(session, false),
+    };
+
+    if (!baseline) {
+      await fs.promises.mkdir(BASELINE_DIR, { recursive: true });
+      await fs.promises.writeFile(baselinePath, capture);
+      await fs.promises.rm(diffPath, { force: true });
+
+      const image = await encodeScreenshot(capture, req.body);
+      res.json({
+        ...result,
+        status: update ? 'baseline-updated' : 'baseline-created',
+        passed: true,
+        image: image.data.toString('base64'),
+        format: image.format,
+        mimeType: image.mimeType,
+        width: image.width,
+        height: image.height,
+      });
+      return;
+    }
+
+    const comparison = await diffImages(baseline, capture, pixelThreshold);
+    await fs.promises.writeFile(diffPath, comparison.diff);
+
+    const mismatchPercent = Math.round((comparison.mismatched / comparison.total) * 100 * 1000) / 1000;
+    const passed = comparison.sameSize && mismatchPercent <= threshold;
+    const image = await encodeScreenshot(comparison.diff, req.body);
+
+    res.json({
+      ...result,
+      status: passed ? 'passed' : 'failed',
+      passed,
+      mismatchPercent,
+      mismatchedPixels: comparison.mismatched,
+      totalPixels: comparison.total,
+      threshold,
+      sizeMismatch: comparison.sameSize ? null : { baseline: comparison.baselineSize, current: comparison.currentSize },
+      diffPath,
+      image: image.data.toString('base64'),
+      format: image.format,
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Generate a PDF of the current page
+ * POST /session/:id/pdf
+ * Body: { format?: string, landscape?: boolean, margin?: object, pageRanges?: string,
+ *         printBackground?: boolean, headerTemplate?: string, footerTemplate?: string, scale?: number,
+ *         tab?: number|string }
+ */
+app.post('/session/:id/pdf', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const {
+      format = 'A4',
+      landscape = false,
+      margin,
+      pageRanges = '',
+      printBackground = true,
+      headerTemplate,
+      footerTemplate,
+      scale = 1,
+      tab,
+    } = req.body;
+
+    const page = await getCurrentPage(session, tab);
+
+    const pdfOptions = {
+      format,
+      landscape,
+      pageRanges,
+      printBackground,
+      scale,
+    };
+
+    if (margin) {
+      pdfOptions.margin = margin;
+    }
+
+    // Header/footer are only rendered when displayHeaderFooter is set
+    if (headerTemplate || footerTemplate) {
+      pdfOptions.displayHeaderFooter = true;
+      pdfOptions.headerTemplate = headerTemplate || '<span></span>';
+      pdfOptions.footerTemplate = footerTemplate || '<span></span>';
+    }
+
+    const pdfBuffer = await page.pdf(pdfOptions);
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      pdf: Buffer.from(pdfBuffer).toString('base64'),
+      size: pdfBuffer.length,
+      url: page.url(),
+      title: await page.title(),
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Evaluate JavaScript in page context
+ * POST /session/:id/evaluate
+ * Body: { script: string, tab?: number|string }
+ */
+app.post('/session/:id/evaluate', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { script, tab } = req.body;
+
+    // Clear diagnostics before evaluation
+    session.consoleLogs = [];
+    session.pageErrors = [];
+    session.networkErrors = [];
+    session.dialogEvents = [];
+
+    const page = await getCurrentPage(session, tab);
+
+    // Evaluate the script in the page context
+    const result = await page.evaluate((scriptToRun) => {
+      // Use Function constructor to allow return statements
+      const fn = new Function(scriptToRun);
+      return fn();
+    }, script);
+
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      result,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get an accessibility-tree snapshot with refs for interactive elements
+ * GET /session/:id/snapshot?tab=<index|id>&selector=<css>
+ */
+app.get('/session/:id/snapshot', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const page = await getCurrentPage(session, req.query.tab);
+
+    const snapshot = await buildSnapshot(session, page, req.query.selector);
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      title: await page.title(),
+      url: page.url(),
+      snapshot,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get page content as raw HTML, visible text, Markdown or the main article (readability)
+ * Returns at most maxLength characters from offset; nextOffset continues from there (null at the end).
+ * GET /session/:id/content?tab=<index|id>&format=html|text|markdown|readability&selector=&ref=&offset=&maxLength=
+ */
+app.get('/session/:id/content', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const page = await getCurrentPage(session, req.query.tab);
+    const format = req.query.format || 'html';
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const maxLength = Number(req.query.maxLength) > 0 ? Number(req.query.maxLength) : CONTENT_DEFAULT_MAX_LENGTH;
+
+    const scopeSelector = req.query.selector || req.query.ref ? await resolveSelector(page, req.query) : null;
+    const content = await getPageContent(page, { format, scopeSelector });
+    const title = await page.title();
+    const url = page.url();
+    const diagnostics = getDiagnostics(session, false);
+
+    res.json({
+      success: true,
+      title,
+      url,
+      format,
+      content: content.substring(offset, offset + maxLength),
+      contentLength: content.length,
+      offset,
+      nextOffset: offset + maxLength < content.length ? offset + maxLength : null,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get diagnostics (console logs, errors, network issues)
+ * GET /session/:id/diagnostics?clear=true
+ */
+app.get('/session/:id/diagnostics', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const clear = req.query.clear === 'true';
+
+    const diagnostics = getDiagnostics(session, clear);
+
+    res.json({
+      success: true,
+      diagnostics,
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List tabs in a session
+ * GET /session/:id/tabs
+ */
+app.get('/session/:id/tabs', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+
+    const tabs = [];
+    for (const page of session.pages) {
+      tabs.push(await describeTab(session, page));
+    }
+
+    res.json({
+      success: true,
+      tabs,
+      count: tabs.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Open a new tab and make it active
+ * POST /session/:id/tabs
+ * Body: { url?: string, waitUntil?: string }
+ */
+app.post('/session/:id/tabs', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { url, waitUntil = 'networkidle2' } = req.body;
+
+    const page = await openTab(session);
+
+    if (url) {
+      await page.goto(url, { waitUntil });
+      session.currentUrl = page.url();
+    }
+
+    res.json({
+      success: true,
+      tab: await describeTab(session, page),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Switch the active tab
+ * POST /session/:id/tabs/:tab/activate
+ */
+app.post('/session/:id/tabs/:tab/activate', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const page = findTab(session, req.params.tab);
+
+    session.activePage = page;
+    await page.bringToFront();
+    session.currentUrl = page.url();
+
+    res.json({
+      success: true,
+      tab: await describeTab(session, page),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Close a tab
+ * DELETE /session/:id/tabs/:tab
+ */
+app.delete('/session/:id/tabs/:tab', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const page = findTab(session, req.params.tab);
+    const tabId = session.tabIds.get(page);
+
+    await page.close();
+    unregisterPage(session, page);
+
+    const activeTab = session.activePage ? await describeTab(session, session.activePage) : null;
+
+    res.json({
+      success: true,
+      closed: tabId,
+      activeTab,
+      count: session.pages.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List cookies
+ * GET /session/:id/cookies?domain=<domain>&name=<name>
+ */
+app.get('/session/:id/cookies', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const cookies = filterCookies(await getAllCookies(session), req.query);
+
+    res.json({
+      success: true,
+      cookies,
+      count: cookies.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Set cookies
+ * POST /session/:id/cookies
+ * Body: { cookies: [{ name, value, url?, domain?, path?, expires?, httpOnly?, secure?, sameSite? }] }
+ */
+app.post('/session/:id/cookies', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { cookies } = req.body;
+
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      throw new Error('cookies must be a non-empty array');
+    }
+
+    for (const cookie of cookies) {
+      if (!cookie.name || cookie.value === undefined) {
+        throw new Error('Each cookie needs a name and a value');
+      }
+      if (!cookie.url && !cookie.domain) {
+        throw new Error(`Cookie "${cookie.name}" needs a url or a domain`);
+      }
+    }
+
+    await setCookies(session, cookies);
+
+    res.json({
+      success: true,
+      count: cookies.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Delete cookies matching a filter, or all cookies
+ * DELETE /session/:id/cookies
+ * Body: { name?: string, domain?: string, path?: string, all?: boolean }
+ */
+app.delete('/session/:id/cookies', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { name, domain, path: cookiePath, all = false } = req.body;
+
+    // Require an explicit filter so an empty request cannot wipe every cookie
+    if (!all && !name && !domain) {
+      throw new Error('Provide name and/or domain, or set all: true');
+    }
+
+    const allCookies = await getAllCookies(session);
+    const matching = all ? allCookies : filterCookies(allCookies, { name, domain, path: cookiePath });
+    await deleteCookies(session, matching);
+
+    res.json({
+      success: true,
+      deleted: matching.map(cookie => ({ name: cookie.name, domain: cookie.domain, path: cookie.path })),
+      count: matching.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List network rules with their match counts
+ * GET /session/:id/network-rules
+ */
+app.get('/session/:id/network-rules', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+
+    res.json({
+      success: true,
+      rules: session.networkRules.map(describeNetworkRule),
+      count: session.networkRules.length,
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Add a network rule
+ * POST /session/:id/network-rules
+ * Body: { url?: string, urlRegex?: string, method?: string|string[], resourceType?: string|string[],
+ *         action: 'abort'|'fulfill'|'modify', errorCode?: string,
+ *         response?: { status?, headers?, contentType?, body? }, headers?: object, postData?: string }
+ */
+app.post('/session/:id/network-rules', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const rule = await addNetworkRule(session, req.body);
+
+    res.json({
+      success: true,
+      rule: describeNetworkRule(rule),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
   }
-
-  return diagnostics;
-}
+});
 
 /**
- * Destroy a session and clean up resources
+ * Remove a network rule, or all rules with ruleId "all"
+ * DELETE /session/:id/network-rules/:ruleId
  */
-async function destroySession(sessionId) {
-  const session = sessions.get(sessionId);
-  if (!session) {
-    return false;
-  }
-
+app.delete('/session/:id/network-rules/:ruleId', (req, res) => {
   try {
-    // Close all pages
-    for (const page of session.pages) {
-      try {
-        await page.close();
-      } catch (e) {
-        console.error(`[SESSION] Error closing page: ${e.message}`);
+    const session = getSession(req.params.id);
+    const { ruleId } = req.params;
+
+    let removed;
+    if (ruleId === 'all') {
+      removed = session.networkRules;
+      session.networkRules = [];
+    } else {
+      const index = session.networkRules.findIndex(rule => rule.id === ruleId);
+      if (index === -1) {
+        throw new Error(`Rule not found: ${ruleId}`);
       }
+      removed = session.networkRules.splice(index, 1);
     }
 
-    // Close browser
-    await session.browser.close();
+    res.json({
+      success: true,
+      removed: removed.map(describeNetworkRule),
+      count: session.networkRules.length,
+    });
   } catch (error) {
-    console.error(`[SESSION] Error destroying session ${sessionId}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
   }
+});
 
-  sessions.delete(sessionId);
-  console.log(`[SESSION] Destroyed: ${sessionId} | Remaining: ${sessions.size}`);
+/**
+ * List requests made since the last navigation of each tab
+ * GET /session/:id/network?url=&type=xhr,fetch&method=&statusMin=&statusMax=&tab=&limit=
+ */
+app.get('/session/:id/network', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const tab = req.query.tab ? session.tabIds.get(findTab(session, req.query.tab)) : null;
+    const limit = Number(req.query.limit) || 100;
 
-  return true;
-}
+    const matching = filterNetworkRecords(session.networkLog, { ...req.query, tab });
+    const requests = matching.slice(-limit).map(describeNetworkRecord);
+
+    res.json({
+      success: true,
+      requests,
+      count: requests.length,
+      total: matching.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
 /**
- * Clean up expired sessions
+ * Get one request with headers and, optionally, its response body
+ * GET /session/:id/network/:requestId?body=true&maxBodySize=<bytes>
  */
-async function cleanupExpiredSessions() {
-  const now = Date.now();
-  const expiredSessions = [];
+app.get('/session/:id/network/:requestId', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const record = session.networkLog.find(r => r.id === req.params.requestId);
 
-  for (const [sessionId, session] of sessions.entries()) {
-    const idleTime = now - session.lastAccessed;
-    if (idleTime > CONFIG.SESSION_TIMEOUT_MS) {
-      expiredSessions.push(sessionId);
+    if (!record) {
+      throw new Error(`Request not found: ${req.params.requestId}. It may predate the last navigation.`);
     }
-  }
 
-  for (const sessionId of expiredSessions) {
-    console.log(`[CLEANUP] Expiring session: ${sessionId} (idle for ${Math.round((now - sessions.get(sessionId).lastAccessed) / 1000)}s)`);
-    await destroySession(sessionId);
-  }
+    const request = {
+      ...describeNetworkRecord(record),
+      requestHeaders: record.requestHeaders,
+      postData: record.postData,
+      responseHeaders: record.responseHeaders,
+    };
 
-  return expiredSessions.length;
-}
+    if (req.query.body === 'true') {
+      if (!record.response) {
+        throw new Error(`Request ${record.id} has no response body`);
+      }
 
-// ============================================================================
-// API Routes
-// ============================================================================
+      const maxBodySize = Number(req.query.maxBodySize) || LOG_DEFAULT_MAX_BODY_SIZE;
+      const { body, encoding, comment } = await readResponseBody(record.response, record.mimeType, maxBodySize);
+      request.body = body;
+      request.bodyEncoding = encoding;
+      request.bodyComment = comment;
+    }
+
+    res.json({
+      success: true,
+      request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
 /**
- * Health check
+ * Start recording every request of the session for a HAR export
+ * POST /session/:id/har/start
+ * Body: { includeBodies?: boolean, maxBodySize?: number }
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    sessions: sessions.size,
-    maxSessions: CONFIG.MAX_SESSIONS,
-    uptime: process.uptime(),
-  });
+app.post('/session/:id/har/start', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const { includeBodies = false, maxBodySize = HAR_DEFAULT_MAX_BODY_SIZE } = req.body;
+
+    if (session.har) {
+      throw new Error('HAR recording already in progress');
+    }
+
+    session.har = {
+      startedAt: Date.now(),
+      includeBodies,
+      maxBodySize,
+      records: [],
+      dropped: 0,
+      pendingBodies: new Set(),
+    };
+
+    res.json({
+      success: true,
+      startedAt: session.har.startedAt,
+      includeBodies,
+      maxBodySize,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
 });
 
 /**
- * Create a new session
- * POST /session/create
- * Body: { metadata?: object }
+ * Stop recording and return the HAR 1.2 log
+ * POST /session/:id/har/stop
  */
-app.post('/session/create', async (req, res) => {
+app.post('/session/:id/har/stop', async (req, res) => {
   try {
-    const session = await createSession(req.body?.metadata);
+    const session = getSession(req.params.id);
+    const har = session.har;
+
+    if (!har) {
+      throw new Error('No HAR recording in progress');
+    }
+
+    session.har = null;
+    await Promise.allSettled(har.pendingBodies);
 
     res.json({
       success: true,
-      sessionId: session.id,
-      metadata: session.metadata,
+      har: await buildHar(session, har),
+      count: har.records.length,
+      dropped: har.dropped,
     });
   } catch (error) {
     res.status(500).json({
@@ -303,26 +4206,23 @@ app.post('/session/create', async (req, res) => {
 });
 
 /**
- * Get session info
- * GET /session/:id/info
+ * List downloads started by the session's tabs
+ * GET /session/:id/downloads?state=inProgress|completed|canceled
  */
-app.get('/session/:id/info', (req, res) => {
+app.get('/session/:id/downloads', (req, res) => {
   try {
     const session = getSession(req.params.id);
+    const downloads = session.downloads
+      .filter(download => !req.query.state || download.state === req.query.state)
+      .map(describeDownload);
 
     res.json({
       success: true,
-      session: {
-        id: session.id,
-        pagesCount: session.pages.length,
-        currentUrl: session.currentUrl,
-        lastAccessed: session.lastAccessed,
-        idleTime: Date.now() - session.lastAccessed,
-        metadata: session.metadata,
-      },
+      downloads,
+      count: downloads.length,
     });
   } catch (error) {
-    res.status(404).json({
+    res.status(500).json({
       success: false,
       error: error.message,
     });
@@ -330,35 +4230,38 @@ app.get('/session/:id/info', (req, res) => {
 });
 
 /**
- * Navigate to a URL
- * POST /session/:id/navigate
- * Body: { url: string, waitUntil?: string }
+ * Get one download and, optionally, its content (base64)
+ * GET /session/:id/downloads/:downloadId?content=true&maxSize=<bytes>
  */
-app.post('/session/:id/navigate', async (req, res) => {
+app.get('/session/:id/downloads/:downloadId', async (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const { url, waitUntil = 'networkidle2' } = req.body;
+    const download = session.downloads.find(d => d.id === req.params.downloadId);
 
-    // Clear diagnostics before navigation
-    session.consoleLogs = [];
-    session.pageErrors = [];
-    session.networkErrors = [];
+    if (!download) {
+      throw new Error(`Download not found: ${req.params.downloadId}`);
+    }
 
-    const page = await getCurrentPage(session);
-    await page.setViewport({ width: 800, height: 600 });
-    await page.goto(url, { waitUntil });
+    const result = describeDownload(download);
 
-    session.currentUrl = url;
+    if (req.query.content === 'true') {
+      if (download.state !== 'completed') {
+        throw new Error(`Download ${download.id} is ${download.state}, not completed`);
+      }
 
-    const title = await page.title();
-    const pageUrl = page.url();
-    const diagnostics = getDiagnostics(session, false);
+      const maxSize = Math.min(Number(req.query.maxSize) || DOWNLOAD_MAX_TRANSFER_SIZE, DOWNLOAD_MAX_TRANSFER_SIZE);
+      const { size } = await fs.promises.stat(download.path);
+      if (size > maxSize) {
+        throw new Error(`Download ${download.id} is ${size} bytes, larger than the ${maxSize} byte limit`);
+      }
+
+      result.size = size;
+      result.content = (await fs.promises.readFile(download.path)).toString('base64');
+    }
 
     res.json({
       success: true,
-      title,
-      url: pageUrl,
-      diagnostics,
+      download: result,
     });
   } catch (error) {
     res.status(500).json({
@@ -369,41 +4272,30 @@ app.post('/session/:id/navigate', async (req, res) => {
 });
 
 /**
- * Click an element
- * POST /session/:id/click
- * Body: { selector: string, waitForNavigation?: boolean }
+ * Emulate a device in every tab of the session, including tabs opened later
+ * POST /session/:id/device
+ * Body: { device?: string | { name?: string, userAgent?: string, viewport: object }, reset?: boolean }
  */
-app.post('/session/:id/click', async (req, res) => {
+app.post('/session/:id/device', async (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const { selector, waitForNavigation = false } = req.body;
+    const { device, reset = false } = req.body;
 
-    // Clear diagnostics before click
-    session.consoleLogs = [];
-    session.pageErrors = [];
-    session.networkErrors = [];
+    if (!reset && !device) {
+      throw new Error('Provide a device name or descriptor, or reset: true');
+    }
 
-    const page = await getCurrentPage(session);
+    session.device = reset ? null : resolveDevice(device);
 
-    if (waitForNavigation) {
-      await Promise.all([
-        page.waitForNavigation({ waitUntil: 'networkidle2' }),
-        page.click(selector),
-      ]);
-    } else {
-      await page.click(selector);
+    for (const page of session.pages) {
+      await emulateDevice(session, page);
     }
 
-    const newUrl = page.url();
-    const title = await page.title();
-    session.currentUrl = newUrl;
-    const diagnostics = getDiagnostics(session, false);
-
     res.json({
       success: true,
-      newUrl,
-      title,
-      diagnostics,
+      device: session.device,
+      viewport: session.device ? session.device.viewport : DEFAULT_VIEWPORT,
+      tabs: session.pages.length,
     });
   } catch (error) {
     res.status(500).json({
@@ -414,51 +4306,35 @@ app.post('/session/:id/click', async (req, res) => {
 });
 
 /**
- * Take a screenshot
- * POST /session/:id/screenshot
- * Body: { width?: number, height?: number, delay?: number, waitForSelector?: string }
+ * Set environment emulation for every tab of the session, including tabs opened later
+ * Omitted settings are kept, null clears a setting and reset clears them all.
+ * POST /session/:id/emulation
+ * Body: { timezone?: string, locale?: string, geolocation?: { latitude, longitude, accuracy? },
+ *         colorScheme?: 'light'|'dark'|'no-preference', reducedMotion?: 'reduce'|'no-preference',
+ *         media?: 'screen'|'print', reset?: boolean }
  */
-app.post('/session/:id/screenshot', async (req, res) => {
+app.post('/session/:id/emulation', async (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const {
-      width = 800,
-      height = 600,
-      delay = 0,
-      waitForSelector,
-    } = req.body;
 
-    const page = await getCurrentPage(session);
-    await page.setViewport({ width, height });
+    const hadGeolocation = Boolean(session.emulation.geolocation);
+    const emulation = mergeEmulation(session, req.body);
 
-    if (waitForSelector) {
-      await page.waitForSelector(waitForSelector, { timeout: 10000 });
+    if (hadGeolocation || emulation.geolocation) {
+      await applyGeolocationPermission(session, emulation);
     }
 
-    if (delay > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
+    for (const page of session.pages) {
+      await emulateEnvironment(session, page, emulation);
     }
 
-    const screenshotBuffer = await page.screenshot({
-      type: 'png',
-      fullPage: false,
-    });
-
-    // Scale down to max 800x600 while preserving aspect ratio
-    const resized = await sharp(screenshotBuffer)
-      .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
-      .jpeg({ quality: 60 })
-      .toBuffer();
-
-    const screenshot = resized.toString('base64');
-    const diagnostics = getDiagnostics(session, false);
+    // Only settings that were applied carry over to tabs opened later
+    session.emulation = emulation;
 
     res.json({
       success: true,
-      screenshot,
-      url: page.url(),
-      title: await page.title(),
-      diagnostics,
+      emulation,
+      tabs: session.pages.length,
     });
   } catch (error) {
     res.status(500).json({
@@ -469,35 +4345,64 @@ app.post('/session/:id/screenshot', async (req, res) => {
 });
 
 /**
- * Evaluate JavaScript in page context
- * POST /session/:id/evaluate
- * Body: { script: string }
+ * List pending and past dialogs with the session's dialog policy
+ * GET /session/:id/dialogs?state=pending|accepted|dismissed
  */
-app.post('/session/:id/evaluate', async (req, res) => {
+app.get('/session/:id/dialogs', (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const { script } = req.body;
+    const dialogs = session.dialogs.filter(dialog => !req.query.state || dialog.state === req.query.state);
 
-    // Clear diagnostics before evaluation
-    session.consoleLogs = [];
-    session.pageErrors = [];
-    session.networkErrors = [];
+    res.json({
+      success: true,
+      policy: session.dialogPolicy,
+      dialogs,
+      pending: session.pendingDialogs.size,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    const page = await getCurrentPage(session);
+/**
+ * Set how the session handles dialogs
+ * POST /session/:id/dialogs/policy
+ * Body: { action?: 'accept'|'dismiss'|'queue', beforeunload?: 'accept'|'dismiss'|'queue', promptText?: string,
+ *         timeout?: number }
+ */
+app.post('/session/:id/dialogs/policy', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const policy = updateDialogPolicy(session, req.body);
 
-    // Evaluate the script in the page context
-    const result = await page.evaluate((scriptToRun) => {
-      // Use Function constructor to allow return statements
-      const fn = new Function(scriptToRun);
-      return fn();
-    }, script);
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    const diagnostics = getDiagnostics(session, false);
+/**
+ * Accept or dismiss a queued dialog
+ * POST /session/:id/dialogs/:dialogId
+ * Body: { accept?: boolean, promptText?: string }
+ */
+app.post('/session/:id/dialogs/:dialogId', async (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    const dialog = await resolveQueuedDialog(session, req.params.dialogId, req.body);
 
     res.json({
       success: true,
-      result,
-      diagnostics,
+      dialog,
     });
   } catch (error) {
     res.status(500).json({
@@ -508,26 +4413,19 @@ app.post('/session/:id/evaluate', async (req, res) => {
 });
 
 /**
- * Get page content
- * GET /session/:id/content
+ * Save the session's cookies and storage to a named state file
+ * POST /session/:id/state/save
+ * Body: { name: string }
  */
-app.get('/session/:id/content', async (req, res) => {
+app.post('/session/:id/state/save', async (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const page = await getCurrentPage(session);
-
-    const content = await page.content();
-    const title = await page.title();
-    const url = page.url();
-    const diagnostics = getDiagnostics(session, false);
+    const result = await saveStorageState(session, req.body.name);
 
     res.json({
       success: true,
-      title,
-      url,
-      content: content.substring(0, 10000), // Limit content size
-      contentLength: content.length,
-      diagnostics,
+      name: req.body.name,
+      ...result,
     });
   } catch (error) {
     res.status(500).json({
@@ -538,22 +4436,22 @@ app.get('/session/:id/content', async (req, res) => {
 });
 
 /**
- * Get diagnostics (console logs, errors, network issues)
- * GET /session/:id/diagnostics?clear=true
+ * Apply a named state file to the session
+ * POST /session/:id/state/load
+ * Body: { name: string }
  */
-app.get('/session/:id/diagnostics', (req, res) => {
+app.post('/session/:id/state/load', async (req, res) => {
   try {
     const session = getSession(req.params.id);
-    const clear = req.query.clear === 'true';
-
-    const diagnostics = getDiagnostics(session, clear);
+    const result = await loadStorageState(session, req.body.name);
 
     res.json({
       success: true,
-      diagnostics,
+      name: req.body.name,
+      ...result,
     });
   } catch (error) {
-    res.status(404).json({
+    res.status(500).json({
       success: false,
       error: error.message,
     });
@@ -587,6 +4485,7 @@ app.get('/sessions', (req, res) => {
   const sessionList = Array.from(sessions.values()).map(session => ({
     id: session.id,
     pagesCount: session.pages.length,
+    activeTab: session.tabIds.get(session.activePage) || null,
     currentUrl: session.currentUrl,
     lastAccessed: session.lastAccessed,
     idleTime: Date.now() - session.lastAccessed,
@@ -624,6 +4523,15 @@ async function shutdown() {
     await destroySession(sessionId);
   }
 
+  if (sharedBrowserPromise) {
+    try {
+      const browser = await sharedBrowserPromise;
+      await browser.close();
+    } catch (error) {
+      console.error('[SERVER] Error closing shared browser:', error.message);
+    }
+  }
+
   process.exit(0);
 }
 
@@ -640,6 +4548,7 @@ const server = app.listen(CONFIG.PORT, '0.0.0.0', () => {
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log(`[SERVER] Listening on http://0.0.0.0:${CONFIG.PORT}`);
   console.log(`[CONFIG] Max Sessions: ${CONFIG.MAX_SESSIONS}`);
+  console.log(`[CONFIG] Session Mode: ${CONFIG.SESSION_MODE}`);
   console.log(`[CONFIG] Session Timeout: ${CONFIG.SESSION_TIMEOUT_MS / 1000}s`);
   console.log(`[CONFIG] Cleanup Interval: ${CONFIG.CLEANUP_INTERVAL_MS / 1000}s`);
   console.log('Ready to accept requests.');
@@ -12,10 +12,15 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { execSync } from 'child_process';
+import { exec, execSync } from 'child_process';
 import { writeFileSync, readFileSync, unlinkSync } from 'fs';
-import { join } from 'path';
+import { readFile, stat } from 'fs/promises';
+import { join, isAbsolute, basename, resolve } from 'path';
 import { tmpdir } from 'os';
+import { promisify } from 'util';
+import http from 'http';
+
+const execAsync = promisify(exec);
 
 const server = new Server(
   {
@@ -29,30 +34,120 @@ const server = new Server(
   }
 );
 
-const BROWSER_SERVER_URL = 'http://127.0.0.1:3000';
+const BROWSER_SERVER_URL = process.env.BROWSER_SERVER_URL || 'http://127.0.0.1:3000';
+
+// Transport used to reach the browser server:
+// - 'http' (default): direct HTTP, proot shares the host network namespace
+// - 'proot': run curl inside Alpine via proot-distro (fallback for setups where
+//   the server is not reachable from Termux)
+const BROWSER_SERVER_TRANSPORT = process.env.BROWSER_SERVER_TRANSPORT || 'http';
+const REQUEST_TIMEOUT_MS = Number(process.env.BROWSER_SERVER_TIMEOUT_MS) || 120 * 1000;
+
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 8 });
+
+// Uploads are sent base64-encoded in the request body, which the browser server caps at 50 MB
+const MAX_UPLOAD_BYTES = 35 * 1024 * 1024;
 
 /**
  * Make HTTP request to browser server in Alpine
+ * Resolves with the parsed JSON body. Error responses from the browser server
+ * ({ success: false, error }) resolve too, so callers can report them.
+ */
+async function browserServerRequest(method, path, body = null, { timeout = REQUEST_TIMEOUT_MS } = {}) {
+  if (BROWSER_SERVER_TRANSPORT === 'proot') {
+    return prootCurlRequest(method, path, body, timeout);
+  }
+
+  return httpRequest(method, path, body, timeout);
+}
+
+/**
+ * Direct HTTP request with keep-alive and a per-request timeout
+ */
+function httpRequest(method, path, body, timeout) {
+  const payload = body === null || body === undefined ? null : JSON.stringify(body);
+  const headers = payload === null
+    ? {}
+    : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(path, BROWSER_SERVER_URL), {
+      method,
+      headers,
+      agent: httpAgent,
+    }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', error => {
+        clearTimeout(timer);
+        reject(new Error(`Browser server request failed: ${error.message}`));
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        const text = Buffer.concat(chunks).toString('utf8');
+
+        let result;
+        try {
+          result = JSON.parse(text);
+        } catch (error) {
+          reject(new Error(`Browser server request failed: HTTP ${res.statusCode} ${res.statusMessage} (invalid JSON response)`));
+          return;
+        }
+
+        // Browser server routes report failures as { success: false, error }
+        if (res.statusCode >= 400 && result.success === undefined) {
+          reject(new Error(`Browser server request failed: HTTP ${res.statusCode} ${res.statusMessage}${result.error ? `: ${result.error}` : ''}`));
+          return;
+        }
+
+        resolve(result);
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`timed out after ${timeout}ms`));
+    }, timeout);
+
+    req.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Browser server request failed: ${error.message}`));
+    });
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Fallback transport: run curl inside Alpine through proot-distro
  */
-function browserServerRequest(method, path, body = null) {
+async function prootCurlRequest(method, path, body, timeout) {
+  const maxTime = Math.ceil(timeout / 1000);
   let curlCmd;
 
   if (method === 'GET') {
-    curlCmd = `curl -s -X GET "${BROWSER_SERVER_URL}${path}"`;
+    curlCmd = `curl -s --max-time ${maxTime} -X GET "${BROWSER_SERVER_URL}${path}"`;
   } else if (body === null || body === undefined) {
     // Don't include -d flag for DELETE or other methods without a body
-    curlCmd = `curl -s -X ${method} "${BROWSER_SERVER_URL}${path}"`;
+    curlCmd = `curl -s --max-time ${maxTime} -X ${method} "${BROWSER_SERVER_URL}${path}"`;
   } else {
-    curlCmd = `curl -s -X ${method} -H "Content-Type: application/json" -d ${escapeShellArg(JSON.stringify(body))} "${BROWSER_SERVER_URL}${path}"`;
+    // The body goes through stdin: command lines are limited to about 128 KB
+    curlCmd = `curl -s --max-time ${maxTime} -X ${method} -H "Content-Type: application/json" --data-binary @- "${BROWSER_SERVER_URL}${path}"`;
   }
 
   try {
-    const result = execSync(
+    const request = execAsync(
       `proot-distro login alpine -- sh -c ${escapeShellArg(curlCmd)} 2>/dev/null`,
-      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }
+      { encoding: 'utf8', maxBuffer: 100 * 1024 * 1024 }
     );
+    request.child.stdin.end(body === null || body === undefined || method === 'GET' ? '' : JSON.stringify(body));
 
-    return JSON.parse(result);
+    const { stdout } = await request;
+
+    return JSON.parse(stdout);
   } catch (error) {
     throw new Error(`Browser server request failed: ${error.message}`);
   }
@@ -63,16 +158,31 @@ function escapeShellArg(arg) {
   return "'" + arg.replace(/'/g, "'\\''") + "'";
 }
 
+/**
+ * Build a query string for GET routes, skipping unset parameters
+ */
+function buildQuery(params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, value);
+    }
+  }
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
 /**
  * Format diagnostics for user-friendly display
  */
 function formatDiagnostics(diagnostics) {
   if (!diagnostics) return '';
 
-  const { consoleLogs, pageErrors, networkErrors, counts } = diagnostics;
+  const { consoleLogs, pageErrors, networkErrors, dialogs, counts } = diagnostics;
 
   // If no diagnostics, return nothing
-  if (counts.console === 0 && counts.errors === 0 && counts.network === 0) {
+  if (counts.console === 0 && counts.errors === 0 && counts.network === 0 && !counts.dialogs) {
     return '';
   }
 
@@ -110,9 +220,71 @@ function formatDiagnostics(diagnostics) {
     });
   }
 
+  // JavaScript dialogs
+  if (dialogs && dialogs.length > 0) {
+    output += '\n### Dialogs:\n';
+    dialogs.forEach(dialog => {
+      const answer = dialog.answer !== null && dialog.answer !== undefined ? ` with "${dialog.answer}"` : '';
+      const by = dialog.handledBy && dialog.handledBy !== 'policy' ? ` (${dialog.handledBy})` : '';
+      output += `💬 ${dialog.id} [${dialog.type}] "${dialog.message}" - ${dialog.action}${answer}${by}\n`;
+    });
+  }
+
   return output;
 }
 
+/**
+ * Describe which part of the page content a response holds, e.g. "markdown, characters 0-10000 of 24531"
+ */
+function describeContentRange({ format, content, contentLength, offset = 0, nextOffset = null }) {
+  const range = `${format}, characters ${offset}-${offset + content.length} of ${contentLength}`;
+  return nextOffset !== null ? `${range}; continue with offset ${nextOffset}` : range;
+}
+
+/**
+ * Describe a click for tool output, e.g. "Double-clicked (right button)"
+ */
+function describeClick({ clickCount = 1, button = 'left' }) {
+  const verb = clickCount === 2 ? 'Double-clicked' : clickCount > 2 ? `Clicked ${clickCount}x` : 'Clicked';
+  return button === 'left' ? verb : `${verb} (${button} button)`;
+}
+
+/**
+ * Build the browser server screenshot request body from tool arguments
+ */
+function screenshotOptions(args, tempSession) {
+  return {
+    width: args.width,
+    height: args.height,
+    delay: args.delay || 0,
+    waitForSelector: args.waitForSelector,
+    fullPage: args.fullPage,
+    selector: args.selector,
+    ref: tempSession ? undefined : args.ref,
+    clip: args.clip,
+    format: args.format,
+    quality: args.quality,
+    maxWidth: args.maxWidth,
+    maxHeight: args.maxHeight,
+    resize: args.resize,
+    tab: tempSession ? undefined : args.tab,
+  };
+}
+
+/**
+ * MCP image content item for base64 image data
+ */
+function imageContent(data, mimeType) {
+  return { type: 'image', data, mimeType };
+}
+
+/**
+ * File extension for a screenshot format
+ */
+function screenshotExtension(format) {
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
 /**
  * Helper to convert localhost URLs to file:// URLs
  */
@@ -142,6 +314,60 @@ function maybeConvertToFileUrl(url) {
   return url;
 }
 
+// Capture options shared by the screenshot tools
+const SCREENSHOT_PROPERTIES = {
+  fullPage: {
+    type: 'boolean',
+    description: 'Capture the whole scrollable page instead of the viewport (consider raising maxHeight or resize: false)',
+    default: false,
+  },
+  selector: {
+    type: 'string',
+    description: 'Capture only the element matching this CSS selector',
+  },
+  ref: {
+    type: 'string',
+    description: 'Capture only this element ref from puppeteer_snapshot (alternative to selector)',
+  },
+  clip: {
+    type: 'object',
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      width: { type: 'number' },
+      height: { type: 'number' },
+    },
+    required: ['width', 'height'],
+    description: 'Capture only this rectangle of the page, in CSS pixels',
+  },
+  format: {
+    type: 'string',
+    enum: ['png', 'jpeg', 'webp'],
+    description: 'Image format',
+    default: 'jpeg',
+  },
+  quality: {
+    type: 'number',
+    description: 'JPEG/WebP quality (1-100)',
+    default: 60,
+  },
+  maxWidth: {
+    type: 'number',
+    description: 'Scale the image down to at most this width',
+    default: 800,
+  },
+  maxHeight: {
+    type: 'number',
+    description: 'Scale the image down to at most this height',
+    default: 600,
+  },
+  resize: {
+    type: 'boolean',
+    description: 'Set to false to keep the captured size (no downscaling)',
+    default: true,
+  },
+};
+
 // Define tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
@@ -157,6 +383,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'object',
               description: 'Optional metadata to attach to the session (e.g., agentId, purpose)',
             },
+            storageState: {
+              type: 'string',
+              description: 'Optional name of a state saved with save_session_state to start the session with (cookies, localStorage, sessionStorage)',
+            },
+            device: {
+              type: ['string', 'object'],
+              description: 'Optional device to emulate in every tab: a Puppeteer device name (e.g. "iPhone 13", "Pixel 5") or a custom descriptor (see emulate_device)',
+            },
           },
         },
       },
@@ -182,147 +416,331 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {},
         },
       },
-
-      // Browser actions (session-aware)
       {
-        name: 'puppeteer_navigate',
-        description: 'Navigate to a URL and get the page content/title. If sessionId provided, uses existing session. Otherwise creates a temporary session.',
+        name: 'save_session_state',
+        description: 'Save the session cookies, localStorage and sessionStorage for every origin it visited to a named file on the browser server, so logins survive session expiry and restarts.',
         inputSchema: {
           type: 'object',
           properties: {
-            url: {
+            sessionId: {
               type: 'string',
-              description: 'The URL to navigate to',
+              description: 'Session ID (required)',
             },
+            name: {
+              type: 'string',
+              description: 'State name (letters, digits, dots, dashes, underscores)',
+            },
+          },
+          required: ['sessionId', 'name'],
+        },
+      },
+      {
+        name: 'load_session_state',
+        description: 'Apply a state saved with save_session_state to an existing session.',
+        inputSchema: {
+          type: 'object',
+          properties: {
             sessionId: {
               type: 'string',
-              description: 'Optional session ID to use. If not provided, creates a temporary session.',
+              description: 'Session ID (required)',
             },
-            waitUntil: {
+            name: {
               type: 'string',
-              description: 'When to consider navigation finished: load, domcontentloaded, networkidle0, or networkidle2',
-              default: 'networkidle2',
+              description: 'State name to load',
             },
           },
-          required: ['url'],
+          required: ['sessionId', 'name'],
+        },
+      },
+
+      // Cookies
+      {
+        name: 'get_cookies',
+        description: 'List cookies in a session, including HttpOnly cookies. Optionally filter by domain (subdomains included) and name.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            domain: {
+              type: 'string',
+              description: 'Only cookies for this domain or its subdomains',
+            },
+            name: {
+              type: 'string',
+              description: 'Only cookies with this name',
+            },
+          },
+          required: ['sessionId'],
         },
       },
       {
-        name: 'puppeteer_click',
-        description: 'Click an element on the current page. Requires sessionId to maintain state after navigation.',
+        name: 'set_cookies',
+        description: 'Set one or more cookies in a session. Each cookie needs name, value and either url or domain.',
         inputSchema: {
           type: 'object',
           properties: {
-            selector: {
+            sessionId: {
               type: 'string',
-              description: 'CSS selector for the element to click',
+              description: 'Session ID (required)',
             },
+            cookies: {
+              type: 'array',
+              description: 'Cookies to set',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  value: { type: 'string' },
+                  url: { type: 'string', description: 'URL the cookie applies to (alternative to domain)' },
+                  domain: { type: 'string' },
+                  path: { type: 'string' },
+                  expires: { type: 'number', description: 'Expiry as Unix time in seconds (omit for a session cookie)' },
+                  httpOnly: { type: 'boolean' },
+                  secure: { type: 'boolean' },
+                  sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] },
+                },
+                required: ['name', 'value'],
+              },
+            },
+          },
+          required: ['sessionId', 'cookies'],
+        },
+      },
+      {
+        name: 'delete_cookies',
+        description: 'Delete cookies matching a name and/or domain (and optional path), or all cookies with all: true.',
+        inputSchema: {
+          type: 'object',
+          properties: {
             sessionId: {
               type: 'string',
-              description: 'Session ID (required for stateful operation)',
+              description: 'Session ID (required)',
             },
-            waitForNavigation: {
+            name: {
+              type: 'string',
+              description: 'Cookie name to delete',
+            },
+            domain: {
+              type: 'string',
+              description: 'Delete cookies for this domain or its subdomains',
+            },
+            path: {
+              type: 'string',
+              description: 'Only delete cookies with this path',
+            },
+            all: {
               type: 'boolean',
-              description: 'Wait for navigation after click',
+              description: 'Delete every cookie in the session',
               default: false,
             },
           },
-          required: ['selector', 'sessionId'],
+          required: ['sessionId'],
         },
       },
+
+      // Network rules
       {
-        name: 'puppeteer_screenshot',
-        description: 'Take a screenshot of the current page state and return as base64 JPEG. If sessionId provided, screenshots the current state. Otherwise navigates to URL first.',
+        name: 'add_network_rule',
+        description: 'Add a request interception rule to a session. Matching requests (by URL glob or regex, method, resource type) are aborted, fulfilled with a mock response, or modified. Rules apply to every tab; the first matching rule wins.',
         inputSchema: {
           type: 'object',
           properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            action: {
+              type: 'string',
+              enum: ['abort', 'fulfill', 'modify'],
+              description: 'What to do with matching requests',
+            },
             url: {
               type: 'string',
-              description: 'URL to screenshot (only used if sessionId not provided)',
+              description: 'URL glob: ** matches anything, * matches anything except "/" (e.g. "**/api/users*")',
             },
-            sessionId: {
+            urlRegex: {
               type: 'string',
-              description: 'Session ID to screenshot current state',
+              description: 'URL regular expression (alternative to url)',
             },
-            width: {
-              type: 'number',
-              description: 'Viewport width in pixels',
-              default: 800,
+            method: {
+              type: ['string', 'array'],
+              items: { type: 'string' },
+              description: 'HTTP method(s) to match, e.g. "POST"',
             },
-            height: {
-              type: 'number',
-              description: 'Viewport height in pixels',
-              default: 600,
+            resourceType: {
+              type: ['string', 'array'],
+              items: { type: 'string' },
+              description: 'Resource type(s) to match: document, stylesheet, image, media, font, script, xhr, fetch, websocket, other',
             },
-            delay: {
-              type: 'number',
-              description: 'Additional delay in milliseconds after page load',
-              default: 0,
+            errorCode: {
+              type: 'string',
+              description: 'abort only: network error to report (failed, aborted, timedout, accessdenied, connectionrefused, internetdisconnected, ...)',
+              default: 'failed',
             },
-            waitForSelector: {
+            response: {
+              type: 'object',
+              description: 'fulfill only: { status, headers, contentType, body }. An object body is sent as JSON.',
+            },
+            headers: {
+              type: 'object',
+              description: 'modify only: headers to add or override on the request',
+            },
+            postData: {
               type: 'string',
-              description: 'CSS selector to wait for before taking screenshot',
+              description: 'modify only: replacement request body',
             },
           },
+          required: ['sessionId', 'action'],
         },
       },
       {
-        name: 'puppeteer_screenshot_debug',
-        description: 'Take a screenshot and save it to a file, then open with termux-open for debugging. Works with sessionId to capture current state.',
+        name: 'list_network_rules',
+        description: 'List the network rules of a session with how many requests each one matched.',
         inputSchema: {
           type: 'object',
           properties: {
-            url: {
+            sessionId: {
               type: 'string',
-              description: 'URL to screenshot (only used if sessionId not provided)',
+              description: 'Session ID (required)',
             },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'remove_network_rule',
+        description: 'Remove a network rule by ID, or every rule with ruleId "all".',
+        inputSchema: {
+          type: 'object',
+          properties: {
             sessionId: {
               type: 'string',
-              description: 'Session ID to screenshot current state',
+              description: 'Session ID (required)',
             },
-            width: {
+            ruleId: {
+              type: 'string',
+              description: 'Rule ID (e.g. rule_1) or "all"',
+            },
+          },
+          required: ['sessionId', 'ruleId'],
+        },
+      },
+
+      // Network log
+      {
+        name: 'get_network_log',
+        description: 'List requests made since the last navigation with URL, method, resource type, status, duration and size. Filter by URL substring, type (e.g. "xhr,fetch"), method and status range. Pass requestId to get headers and, with includeBody, the response body (e.g. the JSON an API returned).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            url: {
+              type: 'string',
+              description: 'Only requests whose URL contains this text',
+            },
+            type: {
+              type: 'string',
+              description: 'Comma-separated resource types: document, stylesheet, image, media, font, script, xhr, fetch, websocket, other',
+            },
+            method: {
+              type: 'string',
+              description: 'Only requests with this HTTP method',
+            },
+            statusMin: {
               type: 'number',
-              description: 'Viewport width in pixels',
-              default: 800,
+              description: 'Minimum response status (e.g. 400)',
             },
-            height: {
+            statusMax: {
               type: 'number',
-              description: 'Viewport height in pixels',
-              default: 600,
+              description: 'Maximum response status (e.g. 599)',
             },
-            filename: {
+            tab: {
+              type: ['number', 'string'],
+              description: 'Only requests from this tab index or ID',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of requests to return (the most recent are kept)',
+              default: 100,
+            },
+            requestId: {
               type: 'string',
-              description: 'Output filename (defaults to screenshot-{timestamp}.jpg)',
+              description: 'Get details for one request (e.g. req_12) instead of the list',
             },
-            delay: {
+            includeBody: {
+              type: 'boolean',
+              description: 'With requestId: include the response body',
+              default: false,
+            },
+            maxBodySize: {
               type: 'number',
-              description: 'Additional delay in milliseconds after page load',
-              default: 0,
+              description: 'With includeBody: largest body to return, in bytes',
+              default: 102400,
             },
           },
+          required: ['sessionId'],
         },
       },
+
+      // HAR recording
       {
-        name: 'puppeteer_evaluate',
-        description: 'Execute JavaScript in the page context and return the result. Requires sessionId.',
+        name: 'start_har_recording',
+        description: 'Start recording every request and response in a session (all tabs) with timings, headers, sizes and optionally bodies, for export as a HAR 1.2 file. Keeps the first 5000 requests; later ones are counted as dropped.',
         inputSchema: {
           type: 'object',
           properties: {
-            script: {
+            sessionId: {
               type: 'string',
-              description: 'JavaScript code to execute (can use return statement)',
+              description: 'Session ID (required)',
+            },
+            includeBodies: {
+              type: 'boolean',
+              description: 'Capture response bodies',
+              default: false,
+            },
+            maxBodySize: {
+              type: 'number',
+              description: 'Largest response body to capture, in bytes',
+              default: 1048576,
             },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'stop_har_recording',
+        description: 'Stop the HAR recording of a session and export it. Saves a .har file by default, or returns the HAR JSON inline.',
+        inputSchema: {
+          type: 'object',
+          properties: {
             sessionId: {
               type: 'string',
               description: 'Session ID (required)',
             },
+            outputPath: {
+              type: 'string',
+              description: 'File to save the HAR to (filename or absolute path; defaults to har-{timestamp}.har in the temp directory)',
+            },
+            inline: {
+              type: 'boolean',
+              description: 'Return the HAR JSON in the response instead of saving a file',
+              default: false,
+            },
           },
-          required: ['script', 'sessionId'],
+          required: ['sessionId'],
         },
       },
+
+      // Downloads
       {
-        name: 'get_page_content',
-        description: 'Get the HTML content of the current page. Requires sessionId.',
+        name: 'list_downloads',
+        description: 'List files downloaded by a session\'s tabs, with their state (inProgress, completed, canceled) and progress.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -330,34 +748,2246 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Session ID (required)',
             },
+            state: {
+              type: 'string',
+              enum: ['inProgress', 'completed', 'canceled'],
+              description: 'Only list downloads in this state',
+            },
           },
           required: ['sessionId'],
         },
       },
-    ],
-  };
-});
+      {
+        name: 'get_download',
+        description: 'Retrieve a completed download. Copies the file to Termux and returns its path by default, or returns the content as base64 inline.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            downloadId: {
+              type: 'string',
+              description: 'Download ID from list_downloads',
+            },
+            outputPath: {
+              type: 'string',
+              description: 'File to save the download to (filename or absolute path; defaults to the download\'s filename in the temp directory)',
+            },
+            inline: {
+              type: 'boolean',
+              description: 'Return the content as base64 instead of saving a file',
+              default: false,
+            },
+            maxSize: {
+              type: 'number',
+              description: 'Largest download to return inline, in bytes',
+              default: 1048576,
+            },
+          },
+          required: ['sessionId', 'downloadId'],
+        },
+      },
+
+      // Emulation
+      {
+        name: 'emulate_device',
+        description: 'Emulate a device in every tab of a session (and tabs opened later): user agent, viewport, device scale factor, touch and isMobile. Use a Puppeteer device name or a custom descriptor. The emulation stays in place across navigations.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required unless listDevices is set)',
+            },
+            device: {
+              type: 'string',
+              description: 'Puppeteer device name, e.g. "iPhone 13", "Pixel 5", "iPad Mini" (case-insensitive)',
+            },
+            viewport: {
+              type: 'object',
+              properties: {
+                width: { type: 'number' },
+                height: { type: 'number' },
+                deviceScaleFactor: { type: 'number' },
+                isMobile: { type: 'boolean' },
+                hasTouch: { type: 'boolean' },
+                isLandscape: { type: 'boolean' },
+              },
+              required: ['width', 'height'],
+              description: 'Custom device viewport (instead of a device name)',
+            },
+            userAgent: {
+              type: 'string',
+              description: 'User agent of the custom device (defaults to the browser\'s)',
+            },
+            reset: {
+              type: 'boolean',
+              description: 'Stop emulating and restore the default 800x600 viewport and user agent',
+              default: false,
+            },
+            listDevices: {
+              type: 'boolean',
+              description: 'List the known device names instead of emulating',
+              default: false,
+            },
+          },
+        },
+      },
+      {
+        name: 'set_emulation',
+        description: 'Emulate the environment of every tab in a session (and tabs opened later): timezone, locale (Accept-Language, navigator.language, Intl), geolocation with the permission granted, prefers-color-scheme, prefers-reduced-motion and print/screen media. Omitted settings are kept; pass null to clear one.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            timezone: {
+              type: ['string', 'null'],
+              description: 'IANA timezone, e.g. "Europe/Berlin", "America/New_York"',
+            },
+            locale: {
+              type: ['string', 'null'],
+              description: 'Locale or Accept-Language value, e.g. "de-DE" or "fr-FR,fr;q=0.9"',
+            },
+            geolocation: {
+              type: ['object', 'null'],
+              properties: {
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                accuracy: { type: 'number' },
+              },
+              required: ['latitude', 'longitude'],
+              description: 'Coordinates reported by navigator.geolocation (accuracy in meters, default 10)',
+            },
+            colorScheme: {
+              type: ['string', 'null'],
+              enum: ['light', 'dark', 'no-preference', null],
+              description: 'prefers-color-scheme value',
+            },
+            reducedMotion: {
+              type: ['string', 'null'],
+              enum: ['reduce', 'no-preference', null],
+              description: 'prefers-reduced-motion value',
+            },
+            media: {
+              type: ['string', 'null'],
+              enum: ['screen', 'print', null],
+              description: 'CSS media type',
+            },
+            reset: {
+              type: 'boolean',
+              description: 'Clear all environment emulation before applying the given settings',
+              default: false,
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+
+      // Dialogs
+      {
+        name: 'set_dialog_policy',
+        description: 'Set how a session handles alert, confirm and prompt dialogs: accept, dismiss (default) or queue them for handle_dialogs. beforeunload dialogs ("Leave site?") have their own setting and are accepted by default, so navigations and tab closes go through. A queued dialog blocks the page (and the action that opened it) until answered or until the timeout dismisses it.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            action: {
+              type: 'string',
+              enum: ['accept', 'dismiss', 'queue'],
+              description: 'What to do when an alert, confirm or prompt dialog opens',
+            },
+            beforeunload: {
+              type: 'string',
+              enum: ['accept', 'dismiss', 'queue'],
+              description: 'What to do when a beforeunload dialog opens (accept leaves the page; dismiss cancels the navigation or tab close)',
+              default: 'accept',
+            },
+            promptText: {
+              type: 'string',
+              description: 'Answer given to accepted prompt() dialogs (defaults to the prompt\'s default value)',
+            },
+            timeout: {
+              type: 'number',
+              description: 'Milliseconds a queued dialog waits for an answer before it is dismissed',
+              default: 30000,
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'handle_dialogs',
+        description: 'List pending and past dialogs of a session with their message text, or answer a queued dialog by passing its dialogId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            dialogId: {
+              type: 'string',
+              description: 'Queued dialog to answer (omit to list dialogs)',
+            },
+            accept: {
+              type: 'boolean',
+              description: 'Accept (true) or dismiss (false) the dialog',
+              default: true,
+            },
+            promptText: {
+              type: 'string',
+              description: 'Answer for a prompt() dialog',
+            },
+            state: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'dismissed'],
+              description: 'When listing, only show dialogs in this state',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+
+      // Tab management
+      {
+        name: 'open_tab',
+        description: 'Open a new tab in a session and make it the active tab. Optionally navigates it to a URL.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            url: {
+              type: 'string',
+              description: 'Optional URL to open in the new tab',
+            },
+            waitUntil: {
+              type: 'string',
+              description: 'When to consider navigation finished: load, domcontentloaded, networkidle0, or networkidle2',
+              default: 'networkidle2',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'list_tabs',
+        description: 'List the tabs of a session with their index, ID, URL and title. Popups opened by pages are included automatically.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'switch_tab',
+        description: 'Make a tab the active tab. Subsequent actions without a tab parameter target it.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to activate',
+            },
+          },
+          required: ['sessionId', 'tab'],
+        },
+      },
+      {
+        name: 'close_tab',
+        description: 'Close a tab. If it was the active tab, the most recently opened remaining tab becomes active.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to close',
+            },
+          },
+          required: ['sessionId', 'tab'],
+        },
+      },
+
+      // Browser actions (session-aware)
+      {
+        name: 'puppeteer_navigate',
+        description: 'Navigate to a URL and get the page title. Set format to also return the content (text, markdown or readability are the most useful). If sessionId provided, uses existing session. Otherwise creates a temporary session.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'The URL to navigate to',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Optional session ID to use. If not provided, creates a temporary session.',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            waitUntil: {
+              type: 'string',
+              description: 'When to consider navigation finished: load, domcontentloaded, networkidle0, or networkidle2',
+              default: 'networkidle2',
+            },
+            format: {
+              type: 'string',
+              enum: ['html', 'text', 'markdown', 'readability'],
+              description: 'Also return the page content in this format (html: raw HTML; text: visible text; markdown: Markdown keeping headings, lists, links and tables; readability: Markdown of the main article only). Defaults to html when selector, offset or maxLength is given',
+            },
+            selector: {
+              type: 'string',
+              description: 'Only return the content of the first element matching this CSS selector',
+            },
+            offset: {
+              type: 'number',
+              description: 'Character offset to start from (use nextOffset from the previous call to page through long content)',
+              default: 0,
+            },
+            maxLength: {
+              type: 'number',
+              description: 'Largest number of characters to return',
+              default: 10000,
+            },
+          },
+          required: ['url'],
+        },
+      },
+      {
+        name: 'puppeteer_click',
+        description: 'Click an element on the current page, or a point given by x/y page coordinates. Supports right/middle button, double click (clickCount: 2) and clicking at an offset within the element. Requires sessionId to maintain state after navigation.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the element to click (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            x: {
+              type: 'number',
+              description: 'Page X coordinate to click (instead of selector/ref)',
+            },
+            y: {
+              type: 'number',
+              description: 'Page Y coordinate to click (instead of selector/ref)',
+            },
+            offset: {
+              type: 'object',
+              description: 'Click at { x, y } pixels from the element\'s top-left corner instead of its center',
+              properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+              },
+            },
+            button: {
+              type: 'string',
+              enum: ['left', 'right', 'middle'],
+              description: 'Mouse button',
+              default: 'left',
+            },
+            clickCount: {
+              type: 'number',
+              description: 'Number of clicks (2 for double click)',
+              default: 1,
+            },
+            waitForNavigation: {
+              type: 'boolean',
+              description: 'Wait for navigation after click',
+              default: false,
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_hover',
+        description: 'Move the mouse over an element (or x/y page coordinates) to open menus and tooltips. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the element to hover (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            x: {
+              type: 'number',
+              description: 'Page X coordinate (instead of selector/ref)',
+            },
+            y: {
+              type: 'number',
+              description: 'Page Y coordinate (instead of selector/ref)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_drag',
+        description: 'Drag one element onto another. Uses native HTML5 drag-and-drop for draggable elements and mouse movement otherwise (sortable lists, canvas apps). Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              description: 'CSS selector of the element to drag',
+            },
+            sourceRef: {
+              type: 'string',
+              description: 'Element ref of the element to drag (alternative to source)',
+            },
+            target: {
+              type: 'string',
+              description: 'CSS selector of the drop target',
+            },
+            targetRef: {
+              type: 'string',
+              description: 'Element ref of the drop target (alternative to target)',
+            },
+            steps: {
+              type: 'number',
+              description: 'Intermediate mouse moves between source and target',
+              default: 10,
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_type',
+        description: 'Type text into an input element on the current page, sending real key events. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the input element (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            text: {
+              type: 'string',
+              description: 'Text to type',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            delay: {
+              type: 'number',
+              description: 'Delay in milliseconds between key presses',
+              default: 0,
+            },
+            clear: {
+              type: 'boolean',
+              description: 'Clear the existing value before typing',
+              default: false,
+            },
+            pressEnter: {
+              type: 'boolean',
+              description: 'Press Enter after typing',
+              default: false,
+            },
+            waitForNavigation: {
+              type: 'boolean',
+              description: 'Wait for navigation after pressing Enter',
+              default: false,
+            },
+          },
+          required: ['text', 'sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_select',
+        description: 'Choose one or more options in a <select> element by value or by visible label. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the <select> element (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            value: {
+              type: ['string', 'array'],
+              items: { type: 'string' },
+              description: 'Option value(s) to select',
+            },
+            label: {
+              type: ['string', 'array'],
+              items: { type: 'string' },
+              description: 'Option label(s) to select (alternative to value)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_check',
+        description: 'Check or uncheck a checkbox, or check a radio button. Does nothing if it is already in the wanted state. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the checkbox or radio (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            checked: {
+              type: 'boolean',
+              description: 'Wanted state',
+              default: true,
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_fill_form',
+        description: 'Fill several form fields in one call. Keys are CSS selectors, field names, label texts, aria-labels or placeholders; values are text, option values/labels for selects, true/false for checkboxes, and the option value or label for radio groups. Reports per field whether it was found and set. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            fields: {
+              type: 'object',
+              description: 'Map of field (selector, name or label) to value, e.g. { "Email": "a@b.c", "country": "CA", "#terms": true }',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['fields', 'sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_upload',
+        description: 'Attach files from Termux to a file input. The files are streamed to the browser server in Alpine. If the element is not a file input (e.g. a custom upload button), it is clicked and the file chooser is answered. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector for the file input or upload button (or use ref)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Termux file paths to upload (relative paths resolve against the MCP server working directory)',
+            },
+            containerPaths: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Paths that already exist inside the Alpine container (e.g. bind-mounted), used without copying',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_press_key',
+        description: 'Press a key (e.g. Escape, Tab, ArrowDown, Enter), a chord with modifiers (e.g. Control+A, Shift+Tab), or a sequence of them. Optionally focuses an element first. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required for stateful operation)',
+            },
+            key: {
+              type: 'string',
+              description: 'Key or chord to press, e.g. "Escape" or "Control+Shift+K"',
+            },
+            keys: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Sequence of keys or chords to press in order (alternative to key)',
+            },
+            selector: {
+              type: 'string',
+              description: 'CSS selector of an element to focus before pressing',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from puppeteer_snapshot to focus before pressing (alternative to selector)',
+            },
+            delay: {
+              type: 'number',
+              description: 'Time in milliseconds to hold each key down',
+              default: 0,
+            },
+            waitForNavigation: {
+              type: 'boolean',
+              description: 'Wait for navigation after pressing',
+              default: false,
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_wait',
+        description: 'Wait for one condition: a selector to appear, become visible, hide or disappear; text to appear; a JS predicate to become true; the URL to match; or the network to go idle. Returns how long it waited. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            selector: {
+              type: 'string',
+              description: 'CSS selector to wait for',
+            },
+            state: {
+              type: 'string',
+              enum: ['attached', 'visible', 'hidden', 'detached'],
+              description: 'With selector: state to wait for (hidden: not visible or removed; detached: removed from the DOM)',
+              default: 'attached',
+            },
+            text: {
+              type: 'string',
+              description: 'Text to wait for in the page',
+            },
+            function: {
+              type: 'string',
+              description: 'JavaScript expression, or function body with return, to wait to become truthy',
+            },
+            url: {
+              type: 'string',
+              description: 'URL glob to wait for (** matches anything, * anything except "/")',
+            },
+            urlRegex: {
+              type: 'string',
+              description: 'URL regular expression to wait for',
+            },
+            networkIdle: {
+              type: 'boolean',
+              description: 'Wait until there are no network requests for idleTime ms',
+            },
+            idleTime: {
+              type: 'number',
+              description: 'With networkIdle: quiet period in milliseconds',
+              default: 500,
+            },
+            timeout: {
+              type: 'number',
+              description: 'Maximum time to wait in milliseconds',
+              default: 30000,
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_screenshot',
+        description: 'Take a screenshot of the current page state and return it as an image (JPEG scaled to 800x600 by default), with URL, title and diagnostics as text. Supports full page, single element and clip captures, PNG/JPEG/WebP and disabling the downscaling. Set pathOnly to save the image to a file and return just its path. If sessionId provided, screenshots the current state. Otherwise navigates to URL first.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'URL to screenshot (only used if sessionId not provided)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID to screenshot current state',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            width: {
+              type: 'number',
+              description: 'Viewport width in pixels (defaults to the current viewport: 800, or the emulated device\'s)',
+            },
+            height: {
+              type: 'number',
+              description: 'Viewport height in pixels (defaults to the current viewport: 600, or the emulated device\'s)',
+            },
+            delay: {
+              type: 'number',
+              description: 'Additional delay in milliseconds after page load',
+              default: 0,
+            },
+            waitForSelector: {
+              type: 'string',
+              description: 'CSS selector to wait for before taking screenshot',
+            },
+            pathOnly: {
+              type: 'boolean',
+              description: 'Save the image to a file and return only its path instead of the image',
+              default: false,
+            },
+            filename: {
+              type: 'string',
+              description: 'File for pathOnly (filename or absolute path; defaults to screenshot-{timestamp}.jpg in the temp directory, or the extension of the format)',
+            },
+            ...SCREENSHOT_PROPERTIES,
+          },
+        },
+      },
+      {
+        name: 'puppeteer_screenshot_debug',
+        description: 'Take a screenshot and save it to a file, then open with termux-open for debugging. Works with sessionId to capture current state.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'URL to screenshot (only used if sessionId not provided)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID to screenshot current state',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            width: {
+              type: 'number',
+              description: 'Viewport width in pixels (defaults to the current viewport: 800, or the emulated device\'s)',
+            },
+            height: {
+              type: 'number',
+              description: 'Viewport height in pixels (defaults to the current viewport: 600, or the emulated device\'s)',
+            },
+            filename: {
+              type: 'string',
+              description: 'Output filename (defaults to screenshot-{timestamp}.jpg, or the extension of the format)',
+            },
+            delay: {
+              type: 'number',
+              description: 'Additional delay in milliseconds after page load',
+              default: 0,
+            },
+            waitForSelector: {
+              type: 'string',
+              description: 'CSS selector to wait for before taking screenshot',
+            },
+            ...SCREENSHOT_PROPERTIES,
+          },
+        },
+      },
+      {
+        name: 'visual_compare',
+        description: 'Visual regression check: screenshot the session and compare it with a named baseline stored on disk. The first run records the baseline; later runs return the mismatch percentage, pass/fail against the threshold and a diff image with changed pixels in red. Accepts the screenshot capture options.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            name: {
+              type: 'string',
+              description: 'Baseline name (letters, digits, dots, dashes, underscores)',
+            },
+            threshold: {
+              type: 'number',
+              description: 'Largest percentage of differing pixels that still passes',
+              default: 0.1,
+            },
+            pixelThreshold: {
+              type: 'number',
+              description: 'Per-channel color difference (0-1) below which pixels count as equal',
+              default: 0.1,
+            },
+            ignore: {
+              type: 'array',
+              items: {
+                oneOf: [
+                  { type: 'string' },
+                  {
+                    type: 'object',
+                    properties: {
+                      x: { type: 'number' },
+                      y: { type: 'number' },
+                      width: { type: 'number' },
+                      height: { type: 'number' },
+                    },
+                    required: ['x', 'y', 'width', 'height'],
+                  },
+                ],
+              },
+              description: 'Regions to ignore: CSS selectors, or rectangles in page coordinates (CSS pixels). They are masked in both the baseline and later captures.',
+            },
+            update: {
+              type: 'boolean',
+              description: 'Replace the baseline with the current capture',
+              default: false,
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            delay: {
+              type: 'number',
+              description: 'Additional delay in milliseconds before the capture',
+              default: 0,
+            },
+            waitForSelector: {
+              type: 'string',
+              description: 'CSS selector to wait for before the capture',
+            },
+            ...SCREENSHOT_PROPERTIES,
+          },
+          required: ['sessionId', 'name'],
+        },
+      },
+      {
+        name: 'puppeteer_pdf',
+        description: 'Generate a PDF of the current page and return it as base64, or save it to a file. If sessionId provided, prints the current state. Otherwise navigates to URL first.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'URL to print (only used if sessionId not provided)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID to print current state',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            format: {
+              type: 'string',
+              description: 'Paper format: Letter, Legal, Tabloid, Ledger, A0-A6',
+              default: 'A4',
+            },
+            landscape: {
+              type: 'boolean',
+              description: 'Use landscape orientation',
+              default: false,
+            },
+            margin: {
+              type: 'object',
+              description: 'Page margins with CSS units, e.g. { "top": "1cm", "right": "1cm", "bottom": "1cm", "left": "1cm" }',
+            },
+            pageRanges: {
+              type: 'string',
+              description: 'Page ranges to print, e.g. "1-5, 8"',
+            },
+            printBackground: {
+              type: 'boolean',
+              description: 'Print background graphics',
+              default: true,
+            },
+            headerTemplate: {
+              type: 'string',
+              description: 'HTML template for the page header (supports date, title, url, pageNumber, totalPages classes)',
+            },
+            footerTemplate: {
+              type: 'string',
+              description: 'HTML template for the page footer (supports date, title, url, pageNumber, totalPages classes)',
+            },
+            outputPath: {
+              type: 'string',
+              description: 'Save the PDF to this path (filename or absolute path) instead of returning base64. Relative names are saved to the temp directory.',
+            },
+          },
+        },
+      },
+      {
+        name: 'puppeteer_evaluate',
+        description: 'Execute JavaScript in the page context and return the result. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              description: 'JavaScript code to execute (can use return statement)',
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+          },
+          required: ['script', 'sessionId'],
+        },
+      },
+      {
+        name: 'puppeteer_snapshot',
+        description: 'Get a compact accessibility-tree outline of the current page (roles, names, values, states). Interactive elements get a ref (e.g. e12) that click, type and other element tools accept instead of a selector. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            selector: {
+              type: 'string',
+              description: 'Optional CSS selector to limit the snapshot to one subtree',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'get_page_content',
+        description: 'Get the content of the current page as raw HTML, visible text, Markdown or the main article (readability), optionally scoped to an element. Long content is paged: pass the reported next offset to continue. Requires sessionId.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session ID (required)',
+            },
+            tab: {
+              type: ['number', 'string'],
+              description: 'Tab index or ID to act on (defaults to the active tab)',
+            },
+            format: {
+              type: 'string',
+              enum: ['html', 'text', 'markdown', 'readability'],
+              description: 'html: raw HTML; text: visible text; markdown: Markdown keeping headings, lists, links and tables; readability: Markdown of the main article only',
+              default: 'html',
+            },
+            selector: {
+              type: 'string',
+              description: 'Only extract the first element matching this CSS selector',
+            },
+            ref: {
+              type: 'string',
+              description: 'Only extract this element ref from puppeteer_snapshot (alternative to selector)',
+            },
+            offset: {
+              type: 'number',
+              description: 'Character offset to start from (use nextOffset from the previous call to page through long content)',
+              default: 0,
+            },
+            maxLength: {
+              type: 'number',
+              description: 'Largest number of characters to return',
+              default: 10000,
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+    ],
+  };
+});
+
+// Tools whose url argument is a page to open
+const NAVIGATION_TOOLS = new Set([
+  'puppeteer_navigate',
+  'puppeteer_screenshot',
+  'puppeteer_screenshot_debug',
+  'puppeteer_pdf',
+  'open_tab',
+]);
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    // Convert localhost URLs of pages to open (other tools take URL patterns and filters)
+    if (args.url && NAVIGATION_TOOLS.has(name)) {
+      args.url = maybeConvertToFileUrl(args.url);
+    }
+
+    switch (name) {
+      // Session management
+      case 'create_session': {
+        // Ensure browser server is running before creating session
+        if (!(await ensureBrowserServer())) {
+          throw new Error('Failed to start browser server. Please start it manually: proot-distro login alpine -- sh -c "cd /root && node browser-server.js"');
+        }
+
+        const response = await browserServerRequest('POST', '/session/create', {
+          metadata: args.metadata || {},
+          storageState: args.storageState,
+          device: args.device,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                message: `Failed to create session: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              sessionId: response.sessionId,
+              storageState: args.storageState,
+              device: response.device ? response.device.name : undefined,
+              message: `Session created: ${response.sessionId}${args.storageState ? ` with storage state "${args.storageState}"` : ''}${response.device ? ` emulating ${response.device.name}` : ''}. Use this ID in subsequent calls to maintain state.`,
+            }, null, 2)
+          }],
+        };
+      }
+
+      case 'close_session': {
+        const response = await browserServerRequest('DELETE', `/session/${args.sessionId}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to close session ${args.sessionId}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              sessionId: args.sessionId,
+              message: `Session ${args.sessionId} closed successfully`,
+            }, null, 2)
+          }],
+        };
+      }
+
+      case 'list_sessions': {
+        const response = await browserServerRequest('GET', '/sessions');
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(response, null, 2)
+          }],
+        };
+      }
+
+      case 'save_session_state':
+      case 'load_session_state': {
+        const action = name === 'save_session_state' ? 'save' : 'load';
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/state/${action}`, {
+          name: args.name,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                name: args.name,
+                sessionId: args.sessionId,
+                message: `Failed to ${action} session state "${args.name}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Session state "${args.name}" ${action === 'save' ? 'saved' : 'loaded'}\n\nFile: ${response.path}\nCookies: ${response.cookies}\nOrigins with storage: ${response.origins}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Cookies
+      case 'get_cookies': {
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/cookies${buildQuery({ domain: args.domain, name: args.name })}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to get cookies: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              cookies: response.cookies,
+              count: response.count,
+              sessionId: args.sessionId,
+            }, null, 2)
+          }],
+        };
+      }
+
+      case 'set_cookies': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/cookies`, {
+          cookies: args.cookies,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to set cookies: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Set ${response.count} cookie(s): ${args.cookies.map(cookie => cookie.name).join(', ')}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'delete_cookies': {
+        const response = await browserServerRequest('DELETE', `/session/${args.sessionId}/cookies`, {
+          name: args.name,
+          domain: args.domain,
+          path: args.path,
+          all: args.all || false,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to delete cookies: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const deletedList = response.deleted.map(cookie => `- ${cookie.name} (${cookie.domain}${cookie.path})`).join('\n');
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Deleted ${response.count} cookie(s)${deletedList ? `\n${deletedList}` : ''}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Network rules
+      case 'add_network_rule': {
+        const { sessionId, ...definition } = args;
+        const response = await browserServerRequest('POST', `/session/${sessionId}/network-rules`, definition);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId,
+                message: `Failed to add network rule: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Network rule added: ${response.rule.id} (${response.rule.action} ${response.rule.url || response.rule.urlRegex || 'all URLs'})\nSession ID: ${sessionId}`
+          }],
+        };
+      }
+
+      case 'list_network_rules': {
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/network-rules`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to list network rules: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(response, null, 2)
+          }],
+        };
+      }
+
+      case 'remove_network_rule': {
+        const response = await browserServerRequest('DELETE', `/session/${args.sessionId}/network-rules/${encodeURIComponent(args.ruleId)}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                ruleId: args.ruleId,
+                sessionId: args.sessionId,
+                message: `Failed to remove network rule ${args.ruleId}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Removed ${response.removed.length} network rule(s): ${response.removed.map(rule => `${rule.id} (matched ${rule.matchCount}x)`).join(', ')}\nRemaining rules: ${response.count}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Network log
+      case 'get_network_log': {
+        const path = args.requestId
+          ? `/session/${args.sessionId}/network/${encodeURIComponent(args.requestId)}${buildQuery({ body: args.includeBody ? 'true' : undefined, maxBodySize: args.maxBodySize })}`
+          : `/session/${args.sessionId}/network${buildQuery({
+            url: args.url,
+            type: args.type,
+            method: args.method,
+            statusMin: args.statusMin,
+            statusMax: args.statusMax,
+            tab: args.tab,
+            limit: args.limit,
+          })}`;
+        const response = await browserServerRequest('GET', path);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to get network log: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        if (args.requestId) {
+          const { body, bodyEncoding, bodyComment, ...details } = response.request;
+          let bodyText = '';
+          if (args.includeBody) {
+            bodyText = body !== null && body !== undefined
+              ? `\n\nResponse body${bodyEncoding ? ` (${bodyEncoding})` : ''}:\n${body}`
+              : `\n\nResponse body: ${bodyComment || 'empty'}`;
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(details, null, 2) + bodyText
+            }],
+          };
+        }
+
+        const lines = response.requests.map(request => {
+          const status = request.error ? `FAILED (${request.error})` : request.pending ? 'pending' : request.status;
+          const size = request.size !== null ? ` ${request.size}B` : '';
+          const duration = request.duration !== null ? ` ${request.duration}ms` : '';
+          return `${request.id} [${request.resourceType}] ${request.method} ${request.url} - ${status}${duration}${size}`;
+        });
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Network log: ${response.count} of ${response.total} matching request(s)\nSession ID: ${args.sessionId}\n\n${lines.join('\n')}`
+          }],
+        };
+      }
+
+      // HAR recording
+      case 'start_har_recording': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/har/start`, {
+          includeBodies: args.includeBodies || false,
+          maxBodySize: args.maxBodySize,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to start HAR recording: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `HAR recording started${response.includeBodies ? ` (bodies up to ${response.maxBodySize} bytes)` : ''}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'stop_har_recording': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/har/stop`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to stop HAR recording: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const droppedText = response.dropped > 0
+          ? `\nDropped: ${response.dropped} (recording limit reached; only the first ${response.count} requests were kept)`
+          : '';
+
+        if (args.inline) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(response.har, null, 2)
+            }, ...(droppedText ? [{ type: 'text', text: droppedText.trim() }] : [])],
+          };
+        }
+
+        const filename = args.outputPath || `har-${Date.now()}.har`;
+        const filepath = isAbsolute(filename) ? filename : join(tmpdir(), filename);
+        writeFileSync(filepath, JSON.stringify(response.har, null, 2));
+
+        return {
+          content: [{
+            type: 'text',
+            text: `HAR saved to ${filepath}\n\nEntries: ${response.count}${droppedText}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Downloads
+      case 'list_downloads': {
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/downloads${buildQuery({ state: args.state })}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to list downloads: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const lines = response.downloads.map(download => {
+          const progress = download.totalBytes
+            ? `${download.receivedBytes}/${download.totalBytes}B`
+            : `${download.receivedBytes}B`;
+          return `${download.id} ${download.filename} - ${download.state} ${progress} (${download.url})`;
+        });
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Downloads: ${response.count}\nSession ID: ${args.sessionId}${lines.length ? `\n\n${lines.join('\n')}` : ''}`
+          }],
+        };
+      }
+
+      case 'get_download': {
+        const maxSize = args.inline ? (args.maxSize || 1048576) : undefined;
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/downloads/${encodeURIComponent(args.downloadId)}${buildQuery({ content: 'true', maxSize })}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                downloadId: args.downloadId,
+                sessionId: args.sessionId,
+                message: `Failed to get download: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const { content, ...download } = response.download;
+
+        if (args.inline) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ success: true, ...download, content }, null, 2)
+            }],
+          };
+        }
+
+        const filename = args.outputPath || basename(download.filename || download.id);
+        const filepath = isAbsolute(filename) ? filename : join(tmpdir(), filename);
+        writeFileSync(filepath, Buffer.from(content, 'base64'));
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Download saved to ${filepath} (${download.size} bytes)\n\nFilename: ${download.filename}\nURL: ${download.url}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Emulation
+      case 'emulate_device': {
+        if (args.listDevices) {
+          const response = await browserServerRequest('GET', '/devices');
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Known devices (${response.devices.length}):\n${response.devices.join('\n')}`
+            }],
+          };
+        }
+
+        const device = args.viewport
+          ? { name: args.device, userAgent: args.userAgent, viewport: args.viewport }
+          : args.device;
+
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/device`, {
+          device,
+          reset: args.reset || false,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                device: args.device,
+                sessionId: args.sessionId,
+                message: `Failed to emulate device: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const { viewport } = response;
+        const summary = `${viewport.width}x${viewport.height}${viewport.deviceScaleFactor ? ` @${viewport.deviceScaleFactor}x` : ''}${viewport.isMobile ? ', mobile' : ''}${viewport.hasTouch ? ', touch' : ''}`;
+
+        return {
+          content: [{
+            type: 'text',
+            text: `${response.device ? `Emulating ${response.device.name}` : 'Device emulation reset'} (${summary}) in ${response.tabs} tab(s)\n\n${response.device && response.device.userAgent ? `User agent: ${response.device.userAgent}\n` : ''}Session ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'set_emulation': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/emulation`, {
+          timezone: args.timezone,
+          locale: args.locale,
+          geolocation: args.geolocation,
+          colorScheme: args.colorScheme,
+          reducedMotion: args.reducedMotion,
+          media: args.media,
+          reset: args.reset || false,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to set emulation: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const settings = Object.entries(response.emulation).map(([key, value]) => {
+          return `${key}: ${typeof value === 'object' ? `${value.latitude}, ${value.longitude} (±${value.accuracy}m)` : value}`;
+        });
+
+        return {
+          content: [{
+            type: 'text',
+            text: `${settings.length ? `Emulation applied to ${response.tabs} tab(s)\n\n${settings.join('\n')}` : `Emulation cleared in ${response.tabs} tab(s)`}\n\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Dialogs
+      case 'set_dialog_policy': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/dialogs/policy`, {
+          action: args.action,
+          beforeunload: args.beforeunload,
+          promptText: args.promptText,
+          timeout: args.timeout,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to set dialog policy: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const { policy } = response;
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Dialog policy: ${policy.action}${policy.promptText !== null ? ` (prompt answer: "${policy.promptText}")` : ''}, beforeunload: ${policy.beforeunload}${policy.action === 'queue' || policy.beforeunload === 'queue' ? `, dismissed after ${policy.timeout}ms` : ''}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'handle_dialogs': {
+        const response = args.dialogId
+          ? await browserServerRequest('POST', `/session/${args.sessionId}/dialogs/${encodeURIComponent(args.dialogId)}`, {
+            accept: args.accept !== false,
+            promptText: args.promptText,
+          })
+          : await browserServerRequest('GET', `/session/${args.sessionId}/dialogs${buildQuery({ state: args.state })}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                dialogId: args.dialogId,
+                sessionId: args.sessionId,
+                message: `Failed to ${args.dialogId ? 'answer dialog' : 'list dialogs'}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        if (args.dialogId) {
+          const { dialog } = response;
+          return {
+            content: [{
+              type: 'text',
+              text: `Dialog ${dialog.id} ${dialog.state}${dialog.answer !== null ? ` with "${dialog.answer}"` : ''}\n\nType: ${dialog.type}\nMessage: ${dialog.message}\nSession ID: ${args.sessionId}`
+            }],
+          };
+        }
+
+        const lines = response.dialogs.map(dialog => {
+          const answer = dialog.answer !== null ? ` with "${dialog.answer}"` : '';
+          const by = dialog.handledBy ? ` by ${dialog.handledBy}` : '';
+          return `${dialog.id} [${dialog.type}]${dialog.tab ? ` ${dialog.tab}` : ''} "${dialog.message}" - ${dialog.state}${answer}${by}`;
+        });
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Dialogs: ${response.dialogs.length} (${response.pending} pending)\nPolicy: ${response.policy.action}, beforeunload: ${response.policy.beforeunload}\nSession ID: ${args.sessionId}${lines.length ? `\n\n${lines.join('\n')}` : ''}`
+          }],
+        };
+      }
+
+      // Tab management
+      case 'open_tab': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/tabs`, {
+          url: args.url,
+          waitUntil: args.waitUntil || 'networkidle2',
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to open tab: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Opened tab ${response.tab.id} (index ${response.tab.index})\n\nURL: ${response.tab.url}\nTitle: ${response.tab.title}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'list_tabs': {
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/tabs`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to list tabs: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(response, null, 2)
+          }],
+        };
+      }
+
+      case 'switch_tab': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/tabs/${encodeURIComponent(args.tab)}/activate`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                tab: args.tab,
+                sessionId: args.sessionId,
+                message: `Failed to switch to tab ${args.tab}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Switched to tab ${response.tab.id} (index ${response.tab.index})\n\nURL: ${response.tab.url}\nTitle: ${response.tab.title}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      case 'close_tab': {
+        const response = await browserServerRequest('DELETE', `/session/${args.sessionId}/tabs/${encodeURIComponent(args.tab)}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                tab: args.tab,
+                sessionId: args.sessionId,
+                message: `Failed to close tab ${args.tab}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const activeText = response.activeTab
+          ? `Active tab: ${response.activeTab.id} (${response.activeTab.url})`
+          : 'No tabs left open';
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Closed tab ${response.closed}\n\n${activeText}\nOpen tabs: ${response.count}\nSession ID: ${args.sessionId}`
+          }],
+        };
+      }
+
+      // Browser actions
+      case 'puppeteer_navigate': {
+        const sessionId = args.sessionId;
+        const tempSession = !sessionId;
+
+        // Create temp session if needed
+        let activeSessionId = sessionId;
+        if (tempSession) {
+          const createResp = await browserServerRequest('POST', '/session/create', {
+            metadata: { temporary: true },
+          });
+
+          if (!createResp.success) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  success: false,
+                  error: createResp.error || 'Unknown error',
+                  message: `Failed to create temporary session: ${createResp.error || 'Unknown error'}`,
+                }, null, 2)
+              }],
+              isError: true,
+            };
+          }
+
+          activeSessionId = createResp.sessionId;
+        }
+
+        // Navigate
+        const response = await browserServerRequest('POST', `/session/${activeSessionId}/navigate`, {
+          url: args.url,
+          waitUntil: args.waitUntil || 'networkidle2',
+          tab: tempSession ? undefined : args.tab,
+        });
+
+        if (!response.success) {
+          // Close temp session on error
+          if (tempSession) {
+            await browserServerRequest('DELETE', `/session/${activeSessionId}`);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                url: args.url,
+                sessionId: tempSession ? undefined : activeSessionId,
+                message: `Failed to navigate to ${args.url}: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        // Content arguments without a format still ask for content, like get_page_content
+        const contentFormat = args.format
+          || (args.selector || args.offset !== undefined || args.maxLength !== undefined ? 'html' : undefined);
+
+        // Get content
+        const contentResp = await browserServerRequest('GET', `/session/${activeSessionId}/content${buildQuery({
+          tab: tempSession ? undefined : args.tab,
+          format: contentFormat,
+          selector: args.selector,
+          offset: args.offset,
+          maxLength: args.maxLength,
+        })}`);
+
+        if (!contentResp.success) {
+          // Close temp session on error
+          if (tempSession) {
+            await browserServerRequest('DELETE', `/session/${activeSessionId}`);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: contentResp.error || 'Unknown error',
+                sessionId: tempSession ? undefined : activeSessionId,
+                message: `Failed to get page content: ${contentResp.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        // Close temp session
+        if (tempSession) {
+          await browserServerRequest('DELETE', `/session/${activeSessionId}`);
+        }
+
+        const diagnosticsText = formatDiagnostics(contentResp.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Navigation successful!\n\nTitle: ${contentResp.title}\nURL: ${contentResp.url}\nContent length: ${contentResp.contentLength} characters${tempSession ? '' : `\nSession ID: ${activeSessionId}`}${contentFormat ? `\n\nContent (${describeContentRange(contentResp)}):\n${contentResp.content}` : ''}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_click': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector || `point (${args.x}, ${args.y})`;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/click`, {
+          selector: args.selector,
+          ref: args.ref,
+          x: args.x,
+          y: args.y,
+          offset: args.offset,
+          button: args.button || 'left',
+          clickCount: args.clickCount || 1,
+          waitForNavigation: args.waitForNavigation || false,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to click element "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `${describeClick(args)}: ${target}\n\nNew URL: ${response.newUrl}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_hover': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector || `point (${args.x}, ${args.y})`;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/hover`, {
+          selector: args.selector,
+          ref: args.ref,
+          x: args.x,
+          y: args.y,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to hover "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Hovered: ${target}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_drag': {
+        const source = args.sourceRef ? `ref ${args.sourceRef}` : args.source;
+        const target = args.targetRef ? `ref ${args.targetRef}` : args.target;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/drag`, {
+          source: args.source,
+          sourceRef: args.sourceRef,
+          target: args.target,
+          targetRef: args.targetRef,
+          steps: args.steps || 10,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                source: args.source,
+                target: args.target,
+                sessionId: args.sessionId,
+                message: `Failed to drag "${source}" to "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Dragged ${source} to ${target} (${response.mode} drag)\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_type': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/type`, {
+          selector: args.selector,
+          ref: args.ref,
+          text: args.text,
+          delay: args.delay || 0,
+          clear: args.clear || false,
+          pressEnter: args.pressEnter || false,
+          waitForNavigation: args.waitForNavigation || false,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to type into element "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Typed into element: ${target}${args.pressEnter ? ' (pressed Enter)' : ''}\n\nNew URL: ${response.newUrl}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_select': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/select`, {
+          selector: args.selector,
+          ref: args.ref,
+          value: args.value,
+          label: args.label,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to select option in "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Selected ${response.selected.map(value => `"${value}"`).join(', ')} in ${target}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_check': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector;
+        const checked = args.checked !== false;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/check`, {
+          selector: args.selector,
+          ref: args.ref,
+          checked,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to ${checked ? 'check' : 'uncheck'} "${target}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `${target} is ${response.checked ? 'checked' : 'unchecked'}${response.changed ? '' : ' (unchanged)'}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
+
+      case 'puppeteer_fill_form': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/fill-form`, {
+          fields: args.fields,
+          tab: args.tab,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to fill form: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const lines = response.results.map(result => {
+          if (!result.found) return `❌ ${result.field}: not found`;
+          if (!result.set) return `⚠️ ${result.field}: found by ${result.matchedBy} (${result.kind}) but not set: ${result.error}`;
+          return `✅ ${result.field}: set (${result.kind}, matched by ${result.matchedBy})`;
+        });
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Filled ${response.filled} of ${response.total} field(s)\n\n${lines.join('\n')}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+          }],
+        };
+      }
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+      case 'puppeteer_upload': {
+        const target = args.ref ? `ref ${args.ref}` : args.selector;
+        const filePaths = (args.files || []).map(file => resolve(file));
 
-  try {
-    // Convert localhost URLs
-    if (args.url) {
-      args.url = maybeConvertToFileUrl(args.url);
-    }
+        // Check the total size before reading anything
+        const sizes = await Promise.all(filePaths.map(async filePath => (await stat(filePath)).size));
+        if (sizes.reduce((total, size) => total + size, 0) > MAX_UPLOAD_BYTES) {
+          throw new Error(`Uploads are limited to ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB per call`);
+        }
 
-    switch (name) {
-      // Session management
-      case 'create_session': {
-        // Ensure browser server is running before creating session
-        if (!ensureBrowserServer()) {
-          throw new Error('Failed to start browser server. Please start it manually: proot-distro login alpine -- sh -c "cd /root && node browser-server.js"');
+        const files = [];
+        for (const filePath of filePaths) {
+          files.push({
+            name: basename(filePath),
+            content: (await readFile(filePath)).toString('base64'),
+          });
         }
 
-        const response = browserServerRequest('POST', '/session/create', {
-          metadata: args.metadata || {},
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/upload`, {
+          selector: args.selector,
+          ref: args.ref,
+          files,
+          paths: args.containerPaths || [],
+          tab: args.tab,
         });
 
         if (!response.success) {
@@ -367,27 +2997,36 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: JSON.stringify({
                 success: false,
                 error: response.error || 'Unknown error',
-                message: `Failed to create session: ${response.error || 'Unknown error'}`,
+                selector: args.selector,
+                ref: args.ref,
+                sessionId: args.sessionId,
+                message: `Failed to upload to "${target}": ${response.error || 'Unknown error'}`,
               }, null, 2)
             }],
             isError: true,
           };
         }
 
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              success: true,
-              sessionId: response.sessionId,
-              message: `Session created: ${response.sessionId}. Use this ID in subsequent calls to maintain state.`,
-            }, null, 2)
+            text: `Uploaded ${response.files.join(', ')} to ${target} (via ${response.method})\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
           }],
         };
       }
 
-      case 'close_session': {
-        const response = browserServerRequest('DELETE', `/session/${args.sessionId}`);
+      case 'puppeteer_press_key': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/keyboard`, {
+          key: args.key,
+          keys: args.keys,
+          selector: args.selector,
+          ref: args.ref,
+          delay: args.delay || 0,
+          waitForNavigation: args.waitForNavigation || false,
+          tab: args.tab,
+        });
 
         if (!response.success) {
           return {
@@ -396,46 +3035,79 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: JSON.stringify({
                 success: false,
                 error: response.error || 'Unknown error',
+                key: args.key,
+                keys: args.keys,
                 sessionId: args.sessionId,
-                message: `Failed to close session ${args.sessionId}: ${response.error || 'Unknown error'}`,
+                message: `Failed to press keys: ${response.error || 'Unknown error'}`,
               }, null, 2)
             }],
             isError: true,
           };
         }
 
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              success: true,
-              sessionId: args.sessionId,
-              message: `Session ${args.sessionId} closed successfully`,
-            }, null, 2)
+            text: `Pressed: ${response.pressed.join(', ')}\n\nNew URL: ${response.newUrl}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
           }],
         };
       }
 
-      case 'list_sessions': {
-        const response = browserServerRequest('GET', '/sessions');
+      case 'puppeteer_wait': {
+        const timeout = args.timeout || 30000;
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/wait`, {
+          selector: args.selector,
+          state: args.state,
+          text: args.text,
+          function: args.function,
+          url: args.url,
+          urlRegex: args.urlRegex,
+          networkIdle: args.networkIdle || false,
+          idleTime: args.idleTime,
+          timeout,
+          tab: args.tab,
+        }, { timeout: Math.max(REQUEST_TIMEOUT_MS, timeout + 10000) });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                waited: response.waited,
+                sessionId: args.sessionId,
+                message: `Wait failed after ${response.waited}ms: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
 
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(response, null, 2)
+            text: `Waited ${response.waited}ms for ${response.condition}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
           }],
         };
       }
 
-      // Browser actions
-      case 'puppeteer_navigate': {
+      case 'puppeteer_screenshot': {
         const sessionId = args.sessionId;
         const tempSession = !sessionId;
 
-        // Create temp session if needed
+        // Create temp session and navigate if needed
         let activeSessionId = sessionId;
         if (tempSession) {
-          const createResp = browserServerRequest('POST', '/session/create', {
+          if (!args.url) {
+            throw new Error('url is required when sessionId is not provided');
+          }
+
+          const createResp = await browserServerRequest('POST', '/session/create', {
             metadata: { temporary: true },
           });
 
@@ -454,106 +3126,83 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
 
           activeSessionId = createResp.sessionId;
-        }
 
-        // Navigate
-        const response = browserServerRequest('POST', `/session/${activeSessionId}/navigate`, {
-          url: args.url,
-          waitUntil: args.waitUntil || 'networkidle2',
-        });
+          // Navigate to URL
+          const navResp = await browserServerRequest('POST', `/session/${activeSessionId}/navigate`, {
+            url: args.url,
+            waitUntil: 'networkidle2',
+          });
 
-        if (!response.success) {
-          // Close temp session on error
-          if (tempSession) {
-            browserServerRequest('DELETE', `/session/${activeSessionId}`);
-          }
+          if (!navResp.success) {
+            // Close temp session on error
+            await browserServerRequest('DELETE', `/session/${activeSessionId}`);
 
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: response.error || 'Unknown error',
-                url: args.url,
-                sessionId: tempSession ? undefined : activeSessionId,
-                message: `Failed to navigate to ${args.url}: ${response.error || 'Unknown error'}`,
-              }, null, 2)
-            }],
-            isError: true,
-          };
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  success: false,
+                  error: navResp.error || 'Unknown error',
+                  url: args.url,
+                  message: `Failed to navigate to ${args.url}: ${navResp.error || 'Unknown error'}`,
+                }, null, 2)
+              }],
+              isError: true,
+            };
+          }
         }
 
-        // Get content
-        const contentResp = browserServerRequest('GET', `/session/${activeSessionId}/content`);
+        // Take screenshot
+        const response = await browserServerRequest('POST', `/session/${activeSessionId}/screenshot`, screenshotOptions(args, tempSession));
 
-        if (!contentResp.success) {
-          // Close temp session on error
-          if (tempSession) {
-            browserServerRequest('DELETE', `/session/${activeSessionId}`);
-          }
+        // Close temp session
+        if (tempSession) {
+          await browserServerRequest('DELETE', `/session/${activeSessionId}`);
+        }
 
+        if (!response.success) {
           return {
             content: [{
               type: 'text',
               text: JSON.stringify({
                 success: false,
-                error: contentResp.error || 'Unknown error',
+                error: response.error || 'Unknown error',
                 sessionId: tempSession ? undefined : activeSessionId,
-                message: `Failed to get page content: ${contentResp.error || 'Unknown error'}`,
+                message: `Failed to take screenshot: ${response.error || 'Unknown error'}`,
               }, null, 2)
             }],
             isError: true,
           };
         }
 
-        // Close temp session
-        if (tempSession) {
-          browserServerRequest('DELETE', `/session/${activeSessionId}`);
-        }
-
-        const diagnosticsText = formatDiagnostics(contentResp.diagnostics);
-
-        return {
-          content: [{
-            type: 'text',
-            text: `Navigation successful!\n\nTitle: ${contentResp.title}\nURL: ${contentResp.url}\nContent length: ${contentResp.contentLength} characters${tempSession ? '' : `\nSession ID: ${activeSessionId}`}${diagnosticsText}`
-          }],
-        };
-      }
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+        const details = `URL: ${response.url}\nTitle: ${response.title}${tempSession ? '' : `\nSession ID: ${activeSessionId}`}${diagnosticsText}`;
 
-      case 'puppeteer_click': {
-        const response = browserServerRequest('POST', `/session/${args.sessionId}/click`, {
-          selector: args.selector,
-          waitForNavigation: args.waitForNavigation || false,
-        });
+        if (args.pathOnly) {
+          const filename = args.filename || `screenshot-${Date.now()}.${screenshotExtension(response.format)}`;
+          const filepath = isAbsolute(filename) ? filename : join(tmpdir(), filename);
+          writeFileSync(filepath, Buffer.from(response.screenshot, 'base64'));
 
-        if (!response.success) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: response.error || 'Unknown error',
-                selector: args.selector,
-                sessionId: args.sessionId,
-                message: `Failed to click element "${args.selector}": ${response.error || 'Unknown error'}`,
-              }, null, 2)
+              text: `Screenshot saved to ${filepath} (${response.width}x${response.height} ${response.format})\n\n${details}`
             }],
-            isError: true,
           };
         }
 
-        const diagnosticsText = formatDiagnostics(response.diagnostics);
-
         return {
-          content: [{
-            type: 'text',
-            text: `Clicked element: ${args.selector}\n\nNew URL: ${response.newUrl}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
-          }],
+          content: [
+            imageContent(response.screenshot, response.mimeType),
+            {
+              type: 'text',
+              text: `Screenshot (${response.width}x${response.height} ${response.format})\n\n${details}`
+            },
+          ],
         };
       }
 
-      case 'puppeteer_screenshot': {
+      case 'puppeteer_screenshot_debug': {
         const sessionId = args.sessionId;
         const tempSession = !sessionId;
 
@@ -564,7 +3213,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             throw new Error('url is required when sessionId is not provided');
           }
 
-          const createResp = browserServerRequest('POST', '/session/create', {
+          const createResp = await browserServerRequest('POST', '/session/create', {
             metadata: { temporary: true },
           });
 
@@ -584,7 +3233,6 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           activeSessionId = createResp.sessionId;
 
-          // Navigate to URL
           const navResp = await browserServerRequest('POST', `/session/${activeSessionId}/navigate`, {
             url: args.url,
             waitUntil: 'networkidle2',
@@ -592,7 +3240,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           if (!navResp.success) {
             // Close temp session on error
-            browserServerRequest('DELETE', `/session/${activeSessionId}`);
+            await browserServerRequest('DELETE', `/session/${activeSessionId}`);
 
             return {
               content: [{
@@ -610,16 +3258,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
 
         // Take screenshot
-        const response = browserServerRequest('POST', `/session/${activeSessionId}/screenshot`, {
-          width: args.width || 800,
-          height: args.height || 600,
-          delay: args.delay || 0,
-          waitForSelector: args.waitForSelector,
-        });
+        const response = await browserServerRequest('POST', `/session/${activeSessionId}/screenshot`, screenshotOptions(args, tempSession));
 
         // Close temp session
         if (tempSession) {
-          browserServerRequest('DELETE', `/session/${activeSessionId}`);
+          await browserServerRequest('DELETE', `/session/${activeSessionId}`);
         }
 
         if (!response.success) {
@@ -637,23 +3280,77 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
-        const diagnosticsText = formatDiagnostics(response.diagnostics);
+        // Save screenshot to file
+        const filename = args.filename || `screenshot-${Date.now()}.${screenshotExtension(response.format)}`;
+        const filepath = join(tmpdir(), filename);
+        writeFileSync(filepath, Buffer.from(response.screenshot, 'base64'));
+
+        // Open with termux-open
+        try {
+          execSync(`termux-open "${filepath}"`, { encoding: 'utf8' });
+        } catch (error) {
+          // termux-open might not return output
+        }
 
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              success: true,
-              screenshot: response.screenshot,
-              url: response.url,
-              title: response.title,
-              sessionId: tempSession ? undefined : activeSessionId,
-            }, null, 2) + diagnosticsText
+            text: `Screenshot saved to ${filepath} (${response.width}x${response.height} ${response.format}) and opened in Android viewer\n\nURL: ${response.url}\nTitle: ${response.title}`
           }],
         };
       }
 
-      case 'puppeteer_screenshot_debug': {
+      case 'visual_compare': {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/visual-compare`, {
+          ...screenshotOptions(args, false),
+          name: args.name,
+          threshold: args.threshold,
+          pixelThreshold: args.pixelThreshold,
+          ignore: args.ignore,
+          update: args.update || false,
+        });
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                name: args.name,
+                sessionId: args.sessionId,
+                message: `Failed to compare with baseline "${args.name}": ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+        let summary;
+
+        if (response.status === 'baseline-created' || response.status === 'baseline-updated') {
+          summary = `Baseline "${response.name}" ${response.status === 'baseline-created' ? 'recorded' : 'updated'}: ${response.baselinePath}`;
+        } else {
+          const size = response.sizeMismatch
+            ? `\nSize changed: ${response.sizeMismatch.baseline.width}x${response.sizeMismatch.baseline.height} -> ${response.sizeMismatch.current.width}x${response.sizeMismatch.current.height}`
+            : '';
+          summary = `Visual comparison ${response.passed ? 'PASSED' : 'FAILED'} for "${response.name}": ${response.mismatchPercent}% of pixels differ (threshold ${response.threshold}%)`
+            + `\nMismatched pixels: ${response.mismatchedPixels} of ${response.totalPixels}${size}\nDiff image: ${response.diffPath}`;
+        }
+
+        return {
+          content: [
+            imageContent(response.image, response.mimeType),
+            {
+              type: 'text',
+              text: `${summary}${response.ignoredRegions ? `\nIgnored regions: ${response.ignoredRegions}` : ''}\n\nURL: ${response.url}\nTitle: ${response.title}\nSession ID: ${args.sessionId}${diagnosticsText}`
+            },
+          ],
+        };
+      }
+
+      case 'puppeteer_pdf': {
         const sessionId = args.sessionId;
         const tempSession = !sessionId;
 
@@ -664,7 +3361,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             throw new Error('url is required when sessionId is not provided');
           }
 
-          const createResp = browserServerRequest('POST', '/session/create', {
+          const createResp = await browserServerRequest('POST', '/session/create', {
             metadata: { temporary: true },
           });
 
@@ -691,7 +3388,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           if (!navResp.success) {
             // Close temp session on error
-            browserServerRequest('DELETE', `/session/${activeSessionId}`);
+            await browserServerRequest('DELETE', `/session/${activeSessionId}`);
 
             return {
               content: [{
@@ -708,16 +3405,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         }
 
-        // Take screenshot
-        const response = browserServerRequest('POST', `/session/${activeSessionId}/screenshot`, {
-          width: args.width || 800,
-          height: args.height || 600,
-          delay: args.delay || 0,
+        // Generate PDF
+        const response = await browserServerRequest('POST', `/session/${activeSessionId}/pdf`, {
+          format: args.format || 'A4',
+          landscape: args.landscape || false,
+          margin: args.margin,
+          pageRanges: args.pageRanges || '',
+          printBackground: args.printBackground !== false,
+          headerTemplate: args.headerTemplate,
+          footerTemplate: args.footerTemplate,
+          tab: tempSession ? undefined : args.tab,
         });
 
         // Close temp session
         if (tempSession) {
-          browserServerRequest('DELETE', `/session/${activeSessionId}`);
+          await browserServerRequest('DELETE', `/session/${activeSessionId}`);
         }
 
         if (!response.success) {
@@ -728,36 +3430,46 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 success: false,
                 error: response.error || 'Unknown error',
                 sessionId: tempSession ? undefined : activeSessionId,
-                message: `Failed to take screenshot: ${response.error || 'Unknown error'}`,
+                message: `Failed to generate PDF: ${response.error || 'Unknown error'}`,
               }, null, 2)
             }],
             isError: true,
           };
         }
 
-        // Save screenshot to file
-        const filename = args.filename || `screenshot-${Date.now()}.jpg`;
-        const filepath = join(tmpdir(), filename);
-        writeFileSync(filepath, Buffer.from(response.screenshot, 'base64'));
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
 
-        // Open with termux-open
-        try {
-          execSync(`termux-open "${filepath}"`, { encoding: 'utf8' });
-        } catch (error) {
-          // termux-open might not return output
+        if (args.outputPath) {
+          const filepath = isAbsolute(args.outputPath) ? args.outputPath : join(tmpdir(), args.outputPath);
+          writeFileSync(filepath, Buffer.from(response.pdf, 'base64'));
+
+          return {
+            content: [{
+              type: 'text',
+              text: `PDF saved to ${filepath} (${response.size} bytes)\n\nURL: ${response.url}\nTitle: ${response.title}${tempSession ? '' : `\nSession ID: ${activeSessionId}`}${diagnosticsText}`
+            }],
+          };
         }
 
         return {
           content: [{
             type: 'text',
-            text: `Screenshot saved to ${filepath} and opened in Android viewer\n\nURL: ${response.url}\nTitle: ${response.title}`
+            text: JSON.stringify({
+              success: true,
+              pdf: response.pdf,
+              size: response.size,
+              url: response.url,
+              title: response.title,
+              sessionId: tempSession ? undefined : activeSessionId,
+            }, null, 2) + diagnosticsText
           }],
         };
       }
 
       case 'puppeteer_evaluate': {
-        const response = browserServerRequest('POST', `/session/${args.sessionId}/evaluate`, {
+        const response = await browserServerRequest('POST', `/session/${args.sessionId}/evaluate`, {
           script: args.script,
+          tab: args.tab,
         });
 
         if (!response.success) {
@@ -785,8 +3497,43 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'puppeteer_snapshot': {
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/snapshot${buildQuery({ tab: args.tab, selector: args.selector })}`);
+
+        if (!response.success) {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: response.error || 'Unknown error',
+                sessionId: args.sessionId,
+                message: `Failed to take snapshot: ${response.error || 'Unknown error'}`,
+              }, null, 2)
+            }],
+            isError: true,
+          };
+        }
+
+        const diagnosticsText = formatDiagnostics(response.diagnostics);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Page snapshot\n\nTitle: ${response.title}\nURL: ${response.url}\nSession ID: ${args.sessionId}\n\n${response.snapshot || '(empty accessibility tree)'}${diagnosticsText}`
+          }],
+        };
+      }
+
       case 'get_page_content': {
-        const response = browserServerRequest('GET', `/session/${args.sessionId}/content`);
+        const response = await browserServerRequest('GET', `/session/${args.sessionId}/content${buildQuery({
+          tab: args.tab,
+          format: args.format,
+          selector: args.selector,
+          ref: args.ref,
+          offset: args.offset,
+          maxLength: args.maxLength,
+        })}`);
 
         if (!response.success) {
           return {
@@ -808,7 +3555,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return {
           content: [{
             type: 'text',
-            text: `Page content retrieved!\n\nTitle: ${response.title}\nURL: ${response.url}\nContent length: ${response.contentLength} characters\nSession ID: ${args.sessionId}\n\nContent (first 10000 chars):\n${response.content}${diagnosticsText}`
+            text: `Page content retrieved!\n\nTitle: ${response.title}\nURL: ${response.url}\nContent length: ${response.contentLength} characters\nSession ID: ${args.sessionId}\n\nContent (${describeContentRange(response)}):\n${response.content}${diagnosticsText}`
           }],
         };
       }
@@ -827,13 +3574,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 /**
  * Check if browser server is running
  */
-function isBrowserServerRunning() {
+async function isBrowserServerRunning() {
   try {
-    const result = execSync(
-      `proot-distro login alpine -- sh -c ${escapeShellArg('curl -s -o /dev/null -w "%{http_code}" http://127.0.0.1:3000/health')} 2>/dev/null`,
-      { encoding: 'utf8', timeout: 3000 }
-    ).trim();
-    return result === '200';
+    const health = await browserServerRequest('GET', '/health', null, { timeout: 3000 });
+    return health.status === 'ok';
   } catch (error) {
     return false;
   }
@@ -855,9 +3599,9 @@ function startBrowserServer() {
 /**
  * Ensure browser server is running
  */
-function ensureBrowserServer() {
+async function ensureBrowserServer() {
   // Check if server is responding
-  if (!isBrowserServerRunning()) {
+  if (!(await isBrowserServerRunning())) {
     console.error('[MCP] Browser server not running, attempting to start...');
     return startBrowserServer();
   } else {
@@ -868,7 +3612,7 @@ function ensureBrowserServer() {
 
 async function main() {
   // Ensure browser server is running before starting MCP server
-  ensureBrowserServer();
+  await ensureBrowserServer();
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the globToRegExp function
+ * Tests URL glob matching used by network rules and URL waits
+ */
+
+import assert from 'assert';
+
+// Copy the function from browser-server.js for testing
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Test suite
+const tests = [
+  {
+    name: 'Matches an exact URL',
+    glob: 'https://example.com/api/items',
+    matches: ['https://example.com/api/items'],
+    rejects: ['https://example.com/api/items/1', 'https://example.com/api/item'],
+  },
+  {
+    name: 'Single * stays within one path segment',
+    glob: 'https://example.com/api/*',
+    matches: ['https://example.com/api/items', 'https://example.com/api/'],
+    rejects: ['https://example.com/api/items/1'],
+  },
+  {
+    name: '** matches across path segments',
+    glob: 'https://example.com/api/**',
+    matches: ['https://example.com/api/items', 'https://example.com/api/items/1?page=2'],
+    rejects: ['https://example.com/other'],
+  },
+  {
+    name: '** matches any scheme and host',
+    glob: '**/api/users',
+    matches: ['https://example.com/api/users', 'http://localhost:3000/api/users'],
+    rejects: ['https://example.com/api/users/1'],
+  },
+  {
+    name: '? is literal in query strings',
+    glob: 'https://api.example.com/items?page=1',
+    matches: ['https://api.example.com/items?page=1'],
+    rejects: ['https://api.example.com/itempage=1', 'https://api.example.com/itemspage=1'],
+  },
+  {
+    name: 'Dots are literal',
+    glob: 'https://example.com/app.js',
+    matches: ['https://example.com/app.js'],
+    rejects: ['https://example.com/appXjs'],
+  },
+  {
+    name: 'Regex characters are literal',
+    glob: 'https://example.com/(a)+[b]{c}|d^$',
+    matches: ['https://example.com/(a)+[b]{c}|d^$'],
+    rejects: ['https://example.com/aa'],
+  },
+  {
+    name: 'Localhost URLs are matched as-is',
+    glob: 'http://localhost:3000/api/**',
+    matches: ['http://localhost:3000/api/todos'],
+    rejects: ['http://localhost:3001/api/todos'],
+  },
+];
+
+// Run tests
+console.log('🧪 Running URL glob tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const test of tests) {
+  try {
+    const regex = globToRegExp(test.glob);
+
+    for (const url of test.matches) {
+      assert.ok(regex.test(url), `expected ${url} to match`);
+    }
+    for (const url of test.rejects) {
+      assert.ok(!regex.test(url), `expected ${url} not to match`);
+    }
+
+    console.log(`✅ ${test.name}`);
+    console.log(`   Glob:  ${test.glob}`);
+    console.log(`   Regex: ${regex}\n`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${test.name}`);
+    console.log(`   Glob:  ${test.glob}`);
+    console.log(`   Error: ${error.message}\n`);
+    failed++;
+  }
+}
+
+// Summary
+console.log('='.repeat(50));
+console.log(`Test Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}